@@ -0,0 +1,196 @@
+import dotenv from 'dotenv';
+import { dbc } from '../lib/mongo.js';
+
+dotenv.config();
+
+// Approval workflow per deviation area, one document per area:
+// {
+//   area: 'coating',                 // deviation area, '*' for areas without their own workflow
+//   stages: [                         // stages run one after another
+//     {
+//       mode: 'parallel',             // 'parallel' - all roles decide at once,
+//                                     // 'sequential' - each role waits for the previous one
+//       roles: [
+//         'quality-manager',          // short form - user role equal to the approval role
+//         {
+//           role: 'group-leader',
+//           userRoles: ['group-leader', 'group-leader-{area}'], // user must hold all of them
+//           approvalField: 'groupLeaderApproval', // defaults to <camelCaseRole>Approval
+//           superiorRole: 'production-manager',   // overrides DEVIATION_SUPERIOR_ROLES
+//           names: { pl: 'Group Leader', en: 'Group Leader' },
+//         },
+//       ],
+//     },
+//   ],
+// }
+export const APPROVAL_WORKFLOWS_COLLECTION = 'deviation_approval_workflows';
+export const DEFAULT_WORKFLOW_AREA = '*';
+
+// Used when the collection has no valid '*' workflow
+const DEFAULT_APPROVAL_WORKFLOW = {
+  area: DEFAULT_WORKFLOW_AREA,
+  stages: [
+    {
+      mode: 'parallel',
+      roles: [
+        { role: 'group-leader', userRoles: ['group-leader', 'group-leader-{area}'] },
+        'quality-manager',
+        'production-manager',
+      ],
+    },
+    { mode: 'sequential', roles: ['plant-manager'] },
+  ],
+};
+
+const STAGE_MODES = ['parallel', 'sequential'];
+
+/**
+ * Default approval field for a role, e.g. 'group-leader' -> 'groupLeaderApproval'
+ * @param {string} role - Approval role
+ */
+function toApprovalField(role) {
+  return `${role.replace(/-([a-z])/g, (_, char) => char.toUpperCase())}Approval`;
+}
+
+/**
+ * Normalize a role entry (string or object) to a full role definition
+ * @param {string|Object} entry - Role entry from the workflow
+ * @returns {Object|null} Role definition or null when invalid
+ */
+function normalizeRole(entry) {
+  const definition = typeof entry === 'string' ? { role: entry } : entry;
+  if (!definition || typeof definition.role !== 'string' || !definition.role) {
+    return null;
+  }
+  if (
+    definition.userRoles !== undefined &&
+    !(Array.isArray(definition.userRoles) && definition.userRoles.length > 0)
+  ) {
+    return null;
+  }
+
+  return {
+    role: definition.role,
+    userRoles: definition.userRoles || [definition.role],
+    approvalField: definition.approvalField || toApprovalField(definition.role),
+    superiorRole: definition.superiorRole,
+    names: definition.names || {},
+  };
+}
+
+/**
+ * Validate and normalize a workflow document
+ * @param {Object} workflow - Workflow document
+ * @returns {Object|null} Normalized workflow or null when invalid
+ */
+function normalizeWorkflow(workflow) {
+  if (!workflow?.area || !Array.isArray(workflow.stages) || workflow.stages.length === 0) {
+    return null;
+  }
+
+  const stages = [];
+  for (const stage of workflow.stages) {
+    const mode = stage?.mode || 'parallel';
+    if (!STAGE_MODES.includes(mode) || !Array.isArray(stage.roles) || stage.roles.length === 0) {
+      return null;
+    }
+    const roles = stage.roles.map(normalizeRole);
+    if (roles.includes(null)) {
+      return null;
+    }
+    stages.push({ mode, roles });
+  }
+
+  return { area: workflow.area, stages };
+}
+
+/**
+ * Load approval workflows keyed by area, always including the default '*' workflow
+ * Invalid documents are logged and skipped (their area falls back to the default)
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function loadApprovalWorkflows() {
+  const coll = await dbc(APPROVAL_WORKFLOWS_COLLECTION);
+  const documents = await coll.find({}).toArray();
+
+  const workflows = new Map([
+    [DEFAULT_WORKFLOW_AREA, normalizeWorkflow(DEFAULT_APPROVAL_WORKFLOW)],
+  ]);
+  for (const document of documents) {
+    const workflow = normalizeWorkflow(document);
+    if (!workflow) {
+      console.error(
+        `Invalid approval workflow in ${APPROVAL_WORKFLOWS_COLLECTION} (area: ${document.area}), skipping`
+      );
+      continue;
+    }
+    workflows.set(workflow.area, workflow);
+  }
+  return workflows;
+}
+
+/**
+ * Workflow for a deviation area, the default workflow when the area has none
+ * @param {Map<string, Object>} workflows - Workflows from loadApprovalWorkflows
+ * @param {string} area - Deviation area
+ */
+export function getWorkflowForArea(workflows, area) {
+  return workflows.get(area) || workflows.get(DEFAULT_WORKFLOW_AREA);
+}
+
+/**
+ * User roles required for an approval role in an area ({area} placeholders replaced)
+ * @param {Object} roleDefinition - Normalized role definition
+ * @param {string} area - Deviation area
+ * @returns {string[]}
+ */
+export function resolveUserRoles(roleDefinition, area) {
+  return roleDefinition.userRoles.map((pattern) => pattern.replaceAll('{area}', area || ''));
+}
+
+/**
+ * Approvals the deviation is currently waiting for, following the workflow stages
+ * A stage starts once every role of the previous stage approved; a rejection stops the chain
+ * @param {Object} deviation - Deviation document
+ * @param {Object} workflow - Normalized workflow
+ * @returns {Array<{definition: Object, stageIndex: number, waitingSince: Date}>}
+ */
+export function getPendingApprovals(deviation, workflow) {
+  let stageStart = new Date(deviation.createdAt);
+
+  for (const [stageIndex, stage] of workflow.stages.entries()) {
+    const pending = [];
+    let stageApproved = true;
+    let previousApprovalAt = stageStart;
+    let lastApprovalAt = stageStart;
+
+    for (const definition of stage.roles) {
+      const approval = deviation[definition.approvalField];
+
+      if (approval?.approved === true) {
+        const approvedAt = approval.at ? new Date(approval.at) : stageStart;
+        previousApprovalAt = approvedAt;
+        if (approvedAt > lastApprovalAt) lastApprovalAt = approvedAt;
+        continue;
+      }
+
+      stageApproved = false;
+      if (approval?.approved === undefined) {
+        pending.push({
+          definition,
+          stageIndex,
+          waitingSince: stage.mode === 'sequential' ? previousApprovalAt : stageStart,
+        });
+      }
+      // Sequential roles after an undecided or rejected one are not asked yet
+      if (stage.mode === 'sequential') break;
+    }
+
+    if (!stageApproved) {
+      return pending;
+    }
+    stageStart = lastApprovalAt;
+  }
+
+  return [];
+}
@@ -1,25 +1,148 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
+import { getActiveAbsences, resolveDeputy } from '../lib/absences.js';
+import { buildDedupKey, wasEmailSentToday } from '../lib/email-log.js';
+import { renderEmail, resolveLocale } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
 import { dbc } from '../lib/mongo.js';
+import { loadWorkingCalendar } from '../lib/working-calendar.js';
+import {
+  getPendingApprovals,
+  getWorkflowForArea,
+  loadApprovalWorkflows,
+  resolveUserRoles,
+} from './approval-workflow.js';
 
 dotenv.config();
 
-const ROLE_TRANSLATIONS = {
-  'group-leader': 'Group Leader',
-  'quality-manager': 'Kierownik Jakości',
-  'production-manager': 'Kierownik Produkcji',
-  'plant-manager': 'Dyrektor Zakładu',
+// Escalation ladder - a level applies once a role has been waiting at least afterHours
+// working hours (weekends, public holidays and plant closures are not counted):
+// - approver: users holding the pending role (plant managers when the role is vacant),
+//   roles and their order come from the area's approval workflow (see approval-workflow.js)
+// - superior: users holding the superior role of the pending role (see SUPERIOR_ROLES)
+// - plant-manager: plant managers
+// Override with DEVIATION_ESCALATION_LADDER, e.g. [{"afterHours":72,"notify":["approver"]}, ...]
+const DEFAULT_ESCALATION_LADDER = [
+  { afterHours: 72, notify: ['approver'] },
+  { afterHours: 120, notify: ['approver', 'superior'] },
+  { afterHours: 168, notify: ['approver', 'superior', 'plant-manager'] },
+];
+const ESCALATION_TARGETS = ['approver', 'superior', 'plant-manager'];
+
+// Superior role per approval role, override with DEVIATION_SUPERIOR_ROLES (JSON object)
+// or per role with superiorRole in the approval workflow
+const DEFAULT_SUPERIOR_ROLES = {
+  'group-leader': 'production-manager',
+  'quality-manager': 'plant-manager',
+  'production-manager': 'plant-manager',
 };
 
-// Helper function to create email content
-function createEmailContent(message, deviationUrl) {
-  return `
-    <div>
-      <p>${message}</p>
-      <p>
-        <a href="${deviationUrl}" style="display:inline-block;padding:10px 20px;font-size:16px;color:white;background-color:#007bff;text-decoration:none;border-radius:5px;">Przejdź do odchylenia</a>
-      </p>
-    </div>`;
+/**
+ * Parse a JSON environment variable, falling back to the default when missing or invalid
+ * @param {string} name - Variable name
+ * @param {*} fallback - Default value
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Invalid ${name}, using defaults:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Load the escalation ladder, sorted by threshold with levels numbered from 1
+ * @returns {Array<{level: number, afterHours: number, notify: string[]}>}
+ */
+function loadEscalationLadder() {
+  let ladder = parseJsonEnv('DEVIATION_ESCALATION_LADDER', DEFAULT_ESCALATION_LADDER);
+
+  const valid =
+    Array.isArray(ladder) &&
+    ladder.length > 0 &&
+    ladder.every(
+      (step) =>
+        typeof step.afterHours === 'number' &&
+        step.afterHours > 0 &&
+        Array.isArray(step.notify) &&
+        step.notify.every((target) => ESCALATION_TARGETS.includes(target))
+    );
+  if (!valid) {
+    console.error(
+      `Invalid DEVIATION_ESCALATION_LADDER (expected [{ afterHours, notify: [${ESCALATION_TARGETS.join(', ')}] }]), using defaults`
+    );
+    ladder = DEFAULT_ESCALATION_LADDER;
+  }
+
+  return [...ladder]
+    .sort((a, b) => a.afterHours - b.afterHours)
+    .map((step, index) => ({ level: index + 1, ...step }));
+}
+
+const ESCALATION_LADDER = loadEscalationLadder();
+const SUPERIOR_ROLES = parseJsonEnv('DEVIATION_SUPERIOR_ROLES', DEFAULT_SUPERIOR_ROLES);
+
+/**
+ * Highest ladder step reached by a role waiting since the given time
+ * @param {Date} waitingSince - Start of the wait (creation or last approval)
+ * @param {Date} now - Current time
+ * @param {Object} calendar - Working calendar (see lib/working-calendar.js)
+ * @returns {Object|null} Ladder step or null when below the first threshold
+ */
+function getEscalationStep(waitingSince, now, calendar) {
+  const waitingHours = calendar.getWorkingHoursBetween(waitingSince, now);
+  return (
+    [...ESCALATION_LADDER].reverse().find((step) => waitingHours >= step.afterHours) ||
+    null
+  );
+}
+
+/**
+ * Send one digest listing all deviations waiting for the recipient, oldest first
+ * Skipped when the recipient already got the digest today
+ * @param {Object} user - Recipient user document (email, locale)
+ * @param {Array} items - Digest items ({ deviation, role, roleNames, reason, type, level, ageHours, onBehalfOf })
+ * @returns {Promise<'sent'|'duplicate'|'failed'>}
+ */
+async function sendDigest(user, items) {
+  const to = user.email;
+  const dedupKey = buildDedupKey('deviation-digest', to);
+  if (await wasEmailSentToday(dedupKey)) {
+    return 'duplicate';
+  }
+
+  const locale = resolveLocale(user.locale);
+  const sortedItems = [...items].sort((a, b) => b.ageHours - a.ageHours);
+  const { subject, html } = renderEmail(
+    'deviation-digest',
+    {
+      deviationsUrl: `${process.env.APP_URL}/deviations`,
+      items: sortedItems.map((item) => ({
+        internalId: item.deviation.internalId,
+        area: item.deviation.area,
+        ageHours: item.ageHours,
+        deviationUrl: `${process.env.APP_URL}/deviations/${item.deviation._id}`,
+        role: item.role,
+        roleName: item.roleNames?.[locale],
+        reason: item.reason,
+        level: item.level,
+        onBehalfOf: item.onBehalfOf?.displayName || item.onBehalfOf?.email,
+      })),
+    },
+    { locale }
+  );
+  const sendResult = await sendEmail(
+    { to, subject, html },
+    { module: 'deviation-reminders', template: 'deviation-digest', dedupKey }
+  );
+  if (!sendResult.success) {
+    console.error(`Error sending deviation digest to ${to}:`, sendResult.error);
+    return 'failed';
+  }
+  return 'sent';
 }
 
 async function sendDeviationApprovalReminders() {
@@ -27,7 +150,10 @@ async function sendDeviationApprovalReminders() {
   const usersColl = await dbc('users');
 
   const now = new Date();
-  const threshold = new Date(now.getTime() - 72 * 60 * 60 * 1000); // 72h ago
+  // Calendar hours are never fewer than working hours - pre-filter candidates in the query
+  const threshold = new Date(
+    now.getTime() - ESCALATION_LADDER[0].afterHours * 60 * 60 * 1000
+  );
 
   const pendingDeviations = await deviationsColl
     .find({
@@ -43,221 +169,186 @@ async function sendDeviationApprovalReminders() {
     return;
   }
 
-  let remindersSent = 0;
+  const plantManagers = await usersColl.find({ roles: 'plant-manager' }).toArray();
+  const workflows = await loadApprovalWorkflows();
+  const calendar = await loadWorkingCalendar({
+    since: new Date(Math.min(...pendingDeviations.map((d) => new Date(d.createdAt).getTime()))),
+  });
+
+  // Users holding all of the given roles, cached for the run
+  const usersByRoles = new Map();
+  const findUsers = async (roles) => {
+    const key = [...roles].sort().join('|');
+    if (!usersByRoles.has(key)) {
+      usersByRoles.set(key, await usersColl.find({ roles: { $all: roles } }).toArray());
+    }
+    return usersByRoles.get(key);
+  };
+
+  // Absent users with a deputy - their reminders go to the deputy
+  const absences = await getActiveAbsences(now);
+  const deputyEmails = [...absences.values()].map((a) => a.deputyEmail);
+  const deputies = new Map(
+    (
+      await usersColl
+        .find({ email: { $in: [...deputyEmails, ...deputyEmails.map((e) => e.toLowerCase())] } })
+        .toArray()
+    ).map((user) => [user.email.toLowerCase(), user])
+  );
 
-  for (const deviation of pendingDeviations) {
-    // Array to collect notification logs for this deviation
-    const notificationLogs = [];
-
-    const deviationUrl = `${process.env.APP_URL}/deviations/${deviation._id}`;
-    const approvalMap = {
-      'group-leader': deviation.groupLeaderApproval,
-      'quality-manager': deviation.qualityManagerApproval,
-      'production-manager': deviation.productionManagerApproval,
-    };
+  // Digest per recipient: email -> { user, items }
+  const digests = new Map();
 
-    const lastApprovalTime = [
-      deviation.groupLeaderApproval?.at,
-      deviation.qualityManagerApproval?.at,
-      deviation.productionManagerApproval?.at,
-    ]
-      .filter(Boolean)
-      .map((d) => new Date(d))
-      .sort((a, b) => b.getTime() - a.getTime())[0];
-
-    const plantManagerShouldBeNotified =
-      Object.values(approvalMap).every((a) => a?.approved === true) &&
-      lastApprovalTime &&
-      lastApprovalTime <= threshold;
-
-    if (plantManagerShouldBeNotified) {
-      const plantManagers = await usersColl
-        .find({ roles: 'plant-manager' })
-        .toArray();
-
-      for (const pm of plantManagers) {
-        if (!pm.email) continue;
-
-        const subject = `Odchylenie [${deviation.internalId}] - oczekuje na zatwierdzenie (Dyrektor Zakładu)`;
-        const message = `Odchylenie [${deviation.internalId}] zostało zatwierdzone przez wszystkie inne stanowiska i czeka ponad 72h na zatwierdzenie przez Dyrektora Zakładu.`;
-        const html = createEmailContent(message, deviationUrl);
-
-        try {
-          const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-          apiUrl.searchParams.append('to', pm.email);
-          apiUrl.searchParams.append('subject', subject);
-          apiUrl.searchParams.append('html', html);
-          await axios.get(apiUrl.toString());
-
-          // Log the notification
-          notificationLogs.push({
-            to: pm.email,
-            sentAt: new Date(),
-            type: 'reminder-plant-manager',
-          });
+  for (const deviation of pendingDeviations) {
+    const ageHours = Math.floor(
+      (now.getTime() - new Date(deviation.createdAt).getTime()) / (60 * 60 * 1000)
+    );
 
-          remindersSent++;
-        } catch (e) {
-          console.error(`Error sending plant manager reminder:`, e);
+    // Add the deviation to the digest of each user once per role,
+    // routed to the deputy while the user is absent
+    const addToDigests = (users, notified, item) => {
+      for (const user of users) {
+        if (!user.email) continue;
+
+        const deputyEmail = resolveDeputy(user.email, absences);
+        const recipient = deputyEmail
+          ? deputies.get(deputyEmail) || { email: deputyEmail }
+          : user;
+        if (notified.has(recipient.email)) continue;
+        notified.add(recipient.email);
+
+        if (!digests.has(recipient.email)) {
+          digests.set(recipient.email, { user: recipient, items: [] });
         }
+        digests.get(recipient.email).items.push({
+          deviation,
+          ageHours,
+          ...item,
+          ...(deputyEmail && { onBehalfOf: user }),
+        });
       }
-    }
+    };
 
-    for (const [role, approval] of Object.entries(approvalMap)) {
-      if (approval?.approved !== undefined) continue; // already decided
+    const workflow = getWorkflowForArea(workflows, deviation.area);
 
-      if (role === 'group-leader') {
-        const targetRole = `group-leader-${deviation.area}`;
-        const groupLeaders = await usersColl
-          .find({ roles: { $all: ['group-leader', targetRole] } })
-          .toArray();
+    for (const { definition, stageIndex, waitingSince } of getPendingApprovals(
+      deviation,
+      workflow
+    )) {
+      const step = getEscalationStep(waitingSince, now, calendar);
+      if (!step) continue;
 
-        if (groupLeaders.length === 0) {
-          // vacancy, notify plant manager
-          const managers = await usersColl
-            .find({ roles: 'plant-manager' })
-            .toArray();
-          for (const pm of managers) {
-            if (!pm.email) continue;
-            const subject = `Odchylenie [${deviation.internalId}] - oczekuje na zatwierdzenie (wakat ${ROLE_TRANSLATIONS[role]})`;
-            const message = `Odchylenie [${
-              deviation.internalId
-            }] oczekuje ponad 72h na zatwierdzenie. Powiadomienie wysłano do Dyrektora Zakładu z powodu wakatu na stanowisku: ${
-              ROLE_TRANSLATIONS[role]
-            } dla obszaru: ${
-              deviation.area === 'coating'
-                ? 'powlekanie'
-                : deviation.area.toUpperCase()
-            }.`;
-            const html = createEmailContent(message, deviationUrl);
-            try {
-              const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-              apiUrl.searchParams.append('to', pm.email);
-              apiUrl.searchParams.append('subject', subject);
-              apiUrl.searchParams.append('html', html);
-              await axios.get(apiUrl.toString());
-
-              // Log the notification
-              notificationLogs.push({
-                to: pm.email,
-                sentAt: new Date(),
-                type: `reminder-vacancy-${role}`,
-              });
-
-              remindersSent++;
-            } catch (e) {
-              console.error(`Error sending vacancy mail to PM:`, e);
-            }
-          }
-          continue;
-        }
+      const { role, names: roleNames } = definition;
+      const level = step.level;
+      const notified = new Set();
 
-        for (const user of groupLeaders) {
-          if (!user.email) continue;
-          const subject = `Odchylenie [${deviation.internalId}] - oczekuje na zatwierdzenie (${ROLE_TRANSLATIONS[role]})`;
-          const message = `Odchylenie [${deviation.internalId}] oczekuje ponad 72h na zatwierdzenie w roli: ${ROLE_TRANSLATIONS[role]}.`;
-          const html = createEmailContent(message, deviationUrl);
-          try {
-            const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-            apiUrl.searchParams.append('to', user.email);
-            apiUrl.searchParams.append('subject', subject);
-            apiUrl.searchParams.append('html', html);
-            await axios.get(apiUrl.toString());
-
-            // Log the notification
-            notificationLogs.push({
-              to: user.email,
-              sentAt: new Date(),
-              type: `reminder-${role}`,
-            });
-
-            remindersSent++;
-          } catch (e) {
-            console.error(`Error sending reminder mail to GL:`, e);
-          }
-        }
-      } else {
-        const usersWithRole = await usersColl.find({ roles: role }).toArray();
+      if (step.notify.includes('approver')) {
+        const approvers = await findUsers(resolveUserRoles(definition, deviation.area));
 
-        if (usersWithRole.length === 0) {
+        if (approvers.length === 0) {
           // vacancy, notify plant manager
-          const managers = await usersColl
-            .find({ roles: 'plant-manager' })
-            .toArray();
-          for (const pm of managers) {
-            if (!pm.email) continue;
-            const subject = `Odchylenie [${deviation.internalId}] - oczekuje na zatwierdzenie (wakat ${ROLE_TRANSLATIONS[role]})`;
-            const message = `Odchylenie [${deviation.internalId}] oczekuje ponad 72h na zatwierdzenie. Powiadomienie wysłano do Dyrektora Zakładu z powodu wakatu na stanowisku: ${ROLE_TRANSLATIONS[role]}.`;
-            const html = createEmailContent(message, deviationUrl);
-            try {
-              const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-              apiUrl.searchParams.append('to', pm.email);
-              apiUrl.searchParams.append('subject', subject);
-              apiUrl.searchParams.append('html', html);
-              await axios.get(apiUrl.toString());
-
-              // Log the notification
-              notificationLogs.push({
-                to: pm.email,
-                sentAt: new Date(),
-                type: `reminder-vacancy-${role}`,
-              });
-
-              remindersSent++;
-            } catch (e) {
-              console.error(`Error sending vacancy mail to PM:`, e);
-            }
-          }
-          continue;
+          addToDigests(plantManagers, notified, {
+            role,
+            roleNames,
+            reason: 'vacancy',
+            type: `reminder-vacancy-${role}`,
+            level,
+          });
+        } else {
+          addToDigests(approvers, notified, {
+            role,
+            roleNames,
+            // Later stages start once the previous roles approved
+            reason: stageIndex > 0 ? 'previous-approved' : 'approver',
+            type: `reminder-${role}`,
+            level,
+          });
         }
+      }
 
-        for (const user of usersWithRole) {
-          if (!user.email) continue;
-          const subject = `Odchylenie [${deviation.internalId}] - oczekuje na zatwierdzenie (${ROLE_TRANSLATIONS[role]})`;
-          const message = `Odchylenie [${deviation.internalId}] oczekuje ponad 72h na zatwierdzenie w roli: ${ROLE_TRANSLATIONS[role]}.`;
-          const html = createEmailContent(message, deviationUrl);
-          try {
-            const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-            apiUrl.searchParams.append('to', user.email);
-            apiUrl.searchParams.append('subject', subject);
-            apiUrl.searchParams.append('html', html);
-            await axios.get(apiUrl.toString());
-
-            // Log the notification
-            notificationLogs.push({
-              to: user.email,
-              sentAt: new Date(),
-              type: `reminder-${role}`,
-            });
-
-            remindersSent++;
-          } catch (e) {
-            console.error(`Error sending reminder mail to ${role}:`, e);
-          }
-        }
+      const superiorRole = definition.superiorRole || SUPERIOR_ROLES[role];
+      if (step.notify.includes('superior') && superiorRole) {
+        addToDigests(await findUsers([superiorRole]), notified, {
+          role,
+          roleNames,
+          reason: 'escalation-superior',
+          type: `escalation-superior-${role}`,
+          level,
+        });
+      }
+
+      if (step.notify.includes('plant-manager')) {
+        addToDigests(plantManagers, notified, {
+          role,
+          roleNames,
+          reason: 'escalation-plant-manager',
+          type: `escalation-plant-manager-${role}`,
+          level,
+        });
       }
     }
+  }
+
+  let digestsSent = 0;
+  let remindersSent = 0;
+  let duplicatesSkipped = 0;
+
+  // Notification logs and escalation level per deviation for the digests that were sent -
+  // a level is stored only once someone was actually notified about it
+  const notificationLogsByDeviation = new Map();
 
-    // Update the deviation with notification logs if any were sent
-    if (notificationLogs.length > 0) {
-      try {
-        await deviationsColl.updateOne(
-          { _id: deviation._id },
-          { $push: { notificationLogs: { $each: notificationLogs } } }
-        );
-      } catch (e) {
-        console.error(
-          `Error updating notification logs for deviation ${deviation._id}:`,
-          e
-        );
+  for (const { user, items } of digests.values()) {
+    const outcome = await sendDigest(user, items);
+    if (outcome === 'duplicate') {
+      duplicatesSkipped++;
+      continue;
+    }
+    if (outcome !== 'sent') continue;
+
+    digestsSent++;
+    remindersSent += items.length;
+    const sentAt = new Date();
+    for (const item of items) {
+      const key = item.deviation._id.toString();
+      if (!notificationLogsByDeviation.has(key)) {
+        notificationLogsByDeviation.set(key, {
+          _id: item.deviation._id,
+          logs: [],
+          escalationLevel: 0,
+        });
       }
+      const entry = notificationLogsByDeviation.get(key);
+      entry.escalationLevel = Math.max(entry.escalationLevel, item.level);
+      entry.logs.push({
+        to: user.email,
+        sentAt,
+        type: item.type,
+        level: item.level,
+        digest: true,
+        ...(item.onBehalfOf && { onBehalfOf: item.onBehalfOf.email }),
+      });
+    }
+  }
+
+  // Update the deviations with notification logs and the escalation level
+  for (const { _id, logs, escalationLevel } of notificationLogsByDeviation.values()) {
+    try {
+      await deviationsColl.updateOne(
+        { _id },
+        {
+          $push: { notificationLogs: { $each: logs } },
+          $set: { escalationLevel, escalationLevelUpdatedAt: now },
+        }
+      );
+    } catch (e) {
+      console.error(`Error updating notification logs for deviation ${_id}:`, e);
     }
   }
 
   console.log(
     `sendDeviationApprovalReminders -> success at ${now.toLocaleString()} | Processed: ${
       pendingDeviations.length
-    }, Reminders: ${remindersSent}`
+    }, Digests: ${digestsSent}, Reminders: ${remindersSent}, Already sent today: ${duplicatesSkipped}`
   );
 }
 
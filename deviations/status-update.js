@@ -1,48 +1,236 @@
 import dotenv from 'dotenv';
+import { buildDedupKey, wasEmailSentToday } from '../lib/email-log.js';
+import { renderEmail } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
 import { dbc } from '../lib/mongo.js';
+import {
+  addPlantDays,
+  getPlantDayEnd,
+  getPlantDayKey,
+  getPlantDaysBetween,
+  getPlantDayStart,
+} from '../lib/plant-date.js';
 
 dotenv.config();
 
-function stripTime(date) {
-  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+// Reason stored on deviations rejected because they were still in approval after timePeriod.to
+const EXPIRED_REASON = 'Nie zatwierdzono przed końcem okresu obowiązywania odchylenia';
+
+// Owners of in-progress deviations are notified this many days before timePeriod.to
+const ENDING_NOTICE_DAYS = parseInt(process.env.DEVIATION_ENDING_NOTICE_DAYS || '3');
+
+/**
+ * Update pipeline changing the status and appending a statusHistory entry
+ * (previousStatus is taken from the document before the update)
+ * @param {string} status - New status
+ * @param {Date} at - Transition time
+ * @param {Object} [fields] - Additional fields to set
+ * @param {string} [reason] - Reason stored in the history entry
+ */
+function statusTransition(status, at, fields = {}, reason) {
+  return [
+    {
+      $set: {
+        ...fields,
+        status,
+        statusHistory: {
+          $concatArrays: [
+            { $ifNull: ['$statusHistory', []] },
+            [
+              {
+                status,
+                previousStatus: '$status',
+                at,
+                actor: 'cron',
+                ...(reason && { reason }),
+              },
+            ],
+          ],
+        },
+      },
+    },
+  ];
+}
+
+/**
+ * Send a notification to the deviation owner (owner field holds the email)
+ * @param {Object} deviation - Deviation document
+ * @param {string} template - Email template name
+ * @param {Object} data - Template data (internalId and deviationUrl are added)
+ * @returns {Promise<'sent'|'duplicate'|'no-owner'|'failed'>}
+ */
+async function notifyOwner(deviation, template, data) {
+  const to = deviation.owner;
+  if (!to) {
+    return 'no-owner';
+  }
+
+  const dedupKey = buildDedupKey(template, deviation._id, to);
+  if (await wasEmailSentToday(dedupKey)) {
+    return 'duplicate';
+  }
+
+  const usersColl = await dbc('users');
+  const owner = await usersColl.findOne({ email: to }, { projection: { locale: 1 } });
+
+  const { subject, html } = renderEmail(
+    template,
+    {
+      internalId: deviation.internalId,
+      deviationUrl: `${process.env.APP_URL}/deviations/${deviation._id}`,
+      ...data,
+    },
+    { locale: owner?.locale }
+  );
+  const sendResult = await sendEmail(
+    { to, subject, html },
+    { module: 'deviation-status', template, entityId: deviation._id.toString(), dedupKey }
+  );
+  if (!sendResult.success) {
+    console.error(`Error sending ${template} for deviation ${deviation._id}:`, sendResult.error);
+    return 'failed';
+  }
+  return 'sent';
 }
 
+/**
+ * Update deviation statuses and notify owners about expired and ending deviations
+ * @returns {Promise<{withoutOwner: Array<Object>, failedNotices: Array<Object>}>} Notices not sent
+ *   because the deviation has no owner or sending failed, as { deviationId, internalId, template }
+ *   (stored as the run result) - both are retried on the next run
+ */
 async function deviationsStatusUpdate() {
   try {
     const deviationsCollection = await dbc('deviations');
-    const today = stripTime(new Date()); // Dzisiejsza data bez czasu
+    const now = new Date();
+    const today = getPlantDayKey(now); // Dzisiejsza data w strefie zakładu
 
-    // Create date objects for start and end of today
-    const startOfToday = new Date(today);
-    startOfToday.setHours(0, 0, 0, 0);
+    // Start and end of today in the plant timezone (Europe/Warsaw)
+    const startOfToday = getPlantDayStart(today);
+    const endOfToday = getPlantDayEnd(today);
 
-    const endOfToday = new Date(today);
-    endOfToday.setHours(23, 59, 59, 999);
+    // 1. Odrzuć odchylenia 'in approval', których okres obowiązywania już minął
+    const expiredDeviations = await deviationsCollection
+      .find({
+        status: 'in approval',
+        'timePeriod.to': { $lt: startOfToday },
+      })
+      .toArray();
+
+    // Notices that could not be sent because the deviation has no owner or sending failed
+    const withoutOwner = [];
+    const failedNotices = [];
+    const reportUnsent = (deviation, template, outcome) => {
+      if (outcome === 'no-owner') {
+        console.warn(
+          `Deviation ${deviation._id} (${deviation.internalId}) has no owner - ${template} not sent`
+        );
+      }
+      (outcome === 'no-owner' ? withoutOwner : failedNotices).push({
+        deviationId: deviation._id.toString(),
+        internalId: deviation.internalId,
+        template,
+      });
+    };
+
+    let expired = 0;
+    for (const deviation of expiredDeviations) {
+      // expiredNoticeSentAt stays null until the owner is notified
+      const result = await deviationsCollection.updateOne(
+        { _id: deviation._id, status: 'in approval' },
+        statusTransition(
+          'rejected',
+          now,
+          { statusReason: EXPIRED_REASON, expiredAt: now, expiredNoticeSentAt: null },
+          EXPIRED_REASON
+        )
+      );
+      if (result.modifiedCount === 0) continue;
+      expired++;
+    }
+
+    // Notify owners of deviations rejected as expired - including the ones whose notice failed
+    // or had no owner on a previous run (deviations rejected before notices were tracked have
+    // no expiredNoticeSentAt field and are not notified)
+    const unnotifiedExpired = await deviationsCollection
+      .find({ status: 'rejected', expiredNoticeSentAt: { $type: 'null' } })
+      .toArray();
+
+    let expiredNotices = 0;
+    for (const deviation of unnotifiedExpired) {
+      const outcome = await notifyOwner(deviation, 'deviation-expired', {
+        timePeriodTo: deviation.timePeriod.to,
+        reason: EXPIRED_REASON,
+      });
+      if (outcome !== 'sent' && outcome !== 'duplicate') {
+        reportUnsent(deviation, 'deviation-expired', outcome);
+        continue;
+      }
 
-    // 1. Ustaw na 'in progress' jeśli today mieści się w zakresie i status to 'approved'
+      if (outcome === 'sent') expiredNotices++;
+      await deviationsCollection.updateOne(
+        { _id: deviation._id },
+        { $set: { expiredNoticeSentAt: now } }
+      );
+    }
+
+    // 2. Ustaw na 'in progress' jeśli today mieści się w zakresie i status to 'approved'
     const result1 = await deviationsCollection.updateMany(
       {
         status: 'approved',
         'timePeriod.from': { $lte: endOfToday },
         'timePeriod.to': { $gte: startOfToday },
       },
-      { $set: { status: 'in progress' } }
+      statusTransition('in progress', now)
     );
 
-    // 2. Ustaw na 'closed' jeśli today jest po 'to' i status to 'approved' lub 'in progress'
+    // 3. Ustaw na 'closed' jeśli today jest po 'to' i status to 'approved' lub 'in progress'
     const result2 = await deviationsCollection.updateMany(
       {
         status: { $in: ['approved', 'in progress'] },
         'timePeriod.to': { $lt: startOfToday },
       },
-      { $set: { status: 'closed' } }
+      statusTransition('closed', now)
     );
 
+    // 4. Powiadom właściciela przed końcem odchylenia 'in progress'
+    // (endingNoticeFor holds timePeriod.to the notice was sent for - an extension triggers a new one)
+    const noticeUntil = getPlantDayEnd(addPlantDays(today, ENDING_NOTICE_DAYS));
+    const endingDeviations = await deviationsCollection
+      .find({
+        status: 'in progress',
+        'timePeriod.to': { $gte: startOfToday, $lte: noticeUntil },
+        $expr: { $ne: ['$endingNoticeFor', '$timePeriod.to'] },
+      })
+      .toArray();
+
+    let endingNotices = 0;
+    for (const deviation of endingDeviations) {
+      const daysLeft = getPlantDaysBetween(today, getPlantDayKey(deviation.timePeriod.to));
+      const outcome = await notifyOwner(deviation, 'deviation-ending-soon', {
+        timePeriodTo: deviation.timePeriod.to,
+        daysLeft,
+      });
+      if (outcome !== 'sent' && outcome !== 'duplicate') {
+        // Not marked as notified - retried on the next run
+        reportUnsent(deviation, 'deviation-ending-soon', outcome);
+        continue;
+      }
+
+      if (outcome === 'sent') endingNotices++;
+      await deviationsCollection.updateOne(
+        { _id: deviation._id },
+        { $set: { endingNoticeFor: deviation.timePeriod.to, endingNoticeSentAt: now } }
+      );
+    }
+
     console.log(
       `deviationsStatusUpdate -> success at ${new Date().toLocaleString()} | InProgress: ${
         result1.modifiedCount
-      }, Closed: ${result2.modifiedCount}`
+      }, Closed: ${result2.modifiedCount}, Expired: ${expired} (notified: ${expiredNotices}), Ending notices: ${endingNotices}, Without owner: ${withoutOwner.length}, Failed notices: ${failedNotices.length}`
     );
+
+    return { withoutOwner, failedNotices };
   } catch (error) {
     console.error('Error updating deviation statuses:', error);
     throw error; // Re-throw to allow executeWithErrorNotification to handle it
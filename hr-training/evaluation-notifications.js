@@ -1,22 +1,74 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import XLSX from 'xlsx';
+import { parseEmailAddresses } from '../lib/email-helper.js';
+import { buildDedupKey, wasEmailSentToday } from '../lib/email-log.js';
+import { renderEmail } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
+import {
+  addPlantDays,
+  getPlantDayKey,
+  getPlantDaysBetween,
+  getPlantDayStart,
+} from '../lib/plant-date.js';
+import {
+  connectToSourceSmb,
+  getFileStats,
+  parseSharePath,
+  readFile,
+} from '../lib/smb-helpers.js';
+import { loadUserDirectory } from '../lib/user-directory.js';
+import { buildRowKey, loadReminderStates, recordReminders } from './reminder-tracking.js';
+import { detectColumns, getColumnAliases } from './workbook-columns.js';
 
 dotenv.config();
 
 // HR Training Evaluation Configuration
 const HR_TRAINING_CONFIG = {
-  excelFilePath: 'C:\\cron-temp-files\\hr-trainings.xlsx',
-  evaluationDeadlineColumn: process.env.HR_TRAINING_DEADLINE_COLUMN || 'Z', // Column Z contains the deadline date
-  supervisorNameColumn: process.env.HR_TRAINING_NAME_COLUMN || 'W', // Column W contains supervisor names (surname firstname)
-  trainingNameColumn: process.env.HR_TRAINING_TRAINING_NAME_COLUMN || 'C', // Column C contains training names
-  traineeNameColumn: process.env.HR_TRAINING_TRAINEE_NAME_COLUMN || 'J', // Column J contains trainee names (surname firstname)
+  smbFilePath: process.env.HR_TRAINING_SMB_PATH, // "share/path/file.xlsx" on SMB_FILE_SERVER_IP
+  maxFileAgeDays: parseInt(process.env.HR_TRAINING_MAX_FILE_AGE_DAYS || '7'), // Older file - no reminders
   sheetName: process.env.HR_TRAINING_SHEET_NAME || null, // null means use first sheet
-  evaluationResultColumn:
-    process.env.HR_TRAINING_EVALUATION_RESULT_COLUMN || 'AC', // Column AC contains evaluation results
+  // Explicit fallback: firstname.surname@bruss-group.com for supervisors not found in users
+  guessSupervisorEmail: process.env.HR_TRAINING_GUESS_SUPERVISOR_EMAIL === 'true',
+  // Columns are located by header text, see workbook-columns.js
+  warningDays: parseInt(process.env.HR_TRAINING_WARNING_DAYS || '3'), // Warning before the deadline, 0 disables
+  escalateAfterDays: parseInt(process.env.HR_TRAINING_ESCALATE_AFTER_DAYS || '7'), // Days overdue before HR is notified
 };
 
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read the HR training workbook from the SMB share configured in HR_TRAINING_SMB_PATH
+ * @returns {Promise<{path: string, modifiedAt: Date|null, content: Buffer|null}>}
+ *   content is null when the file does not exist
+ */
+async function readTrainingFileFromSmb() {
+  const ip = process.env.SMB_FILE_SERVER_IP;
+  if (!ip || !HR_TRAINING_CONFIG.smbFilePath) {
+    throw new Error('SMB_FILE_SERVER_IP or HR_TRAINING_SMB_PATH is not configured');
+  }
+
+  const { share, path } = parseSharePath(HR_TRAINING_CONFIG.smbFilePath);
+  const uncPath = `\\\\${ip}\\${share}\\${path}`;
+  const client = await connectToSourceSmb(
+    ip,
+    share,
+    process.env.SMB_FILE_SERVER_USER,
+    process.env.SMB_FILE_SERVER_PASS,
+    process.env.SMB_FILE_SERVER_DOMAIN
+  );
+
+  try {
+    const stats = await getFileStats(client, path);
+    if (!stats) {
+      return { path: uncPath, modifiedAt: null, content: null };
+    }
+    const content = await readFile(client, path);
+    return { path: uncPath, modifiedAt: new Date(stats.mtime), content };
+  } finally {
+    client.disconnect();
+  }
+}
+
 /**
  * Remove Polish characters and convert to basic Latin characters
  */
@@ -79,48 +131,65 @@ function convertNameToEmail(fullName) {
 }
 
 /**
- * Helper function to create Polish email content for HR training evaluation reminders
+ * Resolve the supervisor's email through the users collection (display names synced from LDAP)
+ * The address guessed from the name is used only when HR_TRAINING_GUESS_SUPERVISOR_EMAIL is
+ * enabled and nobody with the name was found - never for ambiguous names
+ * @param {Object} directory - User directory from loadUserDirectory
+ * @param {string} name - Supervisor name from the workbook
+ * @returns {{status: 'resolved'|'guessed'|'ambiguous'|'not-found', email: string|null, locale?: string, candidates?: string[]}}
  */
-function createHrTrainingEvaluationEmailContent(
-  supervisorName,
-  trainingName,
-  evaluationDeadline
-) {
-  const formattedDate = new Date(evaluationDeadline).toLocaleDateString(
-    'pl-PL'
-  );
-  const firstName = supervisorName
-    ? supervisorName.split(' ')[1] || supervisorName
-    : '';
-
-  return `
-    <div>
-      <p>Dzień dobry${firstName ? ` ${firstName}` : ''},</p>
-      <p>W dniu <strong>${formattedDate}</strong> mija termin wymaganego dokonania oceny efektywności zrealizowanych szkoleń w Twoim zespole.</p>
-      <p><strong>Szkolenie:</strong> ${trainingName}</p>
-      <p>
-        Proszę o pilne dokonanie oceny efektywności tych szkoleń w dostępnym pliku:
-        <strong>W:\\HrManagement\\1_Szkolenia\\2_PHR-7.2.01-01_PLAN SZKOLEŃ</strong>.
-      </p>
-      <p>Pomoże nam to w przyszłości w podjęciu decyzji dotyczących szkoleń w podobnych obszarach lub tematyce.</p>
-      <p>W razie pytań lub wątpliwości, skontaktuj się z działem HR.<br/>Z góry bardzo dziękujemy za rzetelność i terminowość.</p>
-      <p style="margin-top:2em;">Z poważaniem,<br/>Dział HR</p>
-    </div>`;
+function resolveSupervisor(directory, name) {
+  const match = directory.resolve(name);
+  if (match.status === 'resolved') {
+    return { status: 'resolved', email: match.user.email, locale: match.user.locale };
+  }
+  if (match.status === 'ambiguous') {
+    return {
+      status: 'ambiguous',
+      email: null,
+      candidates: match.candidates.map((user) => user.email),
+    };
+  }
+
+  const guessedEmail = HR_TRAINING_CONFIG.guessSupervisorEmail ? convertNameToEmail(name) : null;
+  return guessedEmail
+    ? { status: 'guessed', email: guessedEmail }
+    : { status: 'not-found', email: null };
 }
 
 /**
- * Get today's date for checking passed training evaluation deadlines
+ * Get the limits for checking training evaluation deadlines: start of today and end of the
+ * warning period (plant days in Europe/Warsaw, independent of the server timezone)
+ * @param {Date} [now] - Current time
+ * @returns {{today: Date, todayKey: string, warningUntil: Date}}
  */
-function getTodaysDate() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Set to beginning of day
-  return today;
+export function getDeadlineLimits(now = new Date()) {
+  const todayKey = getPlantDayKey(now);
+  return {
+    today: getPlantDayStart(todayKey),
+    todayKey,
+    warningUntil: getPlantDayStart(addPlantDays(todayKey, HR_TRAINING_CONFIG.warningDays)),
+  };
+}
+
+/**
+ * Check a training evaluation deadline against the limits of the run
+ * @param {Date} deadline - Parsed deadline
+ * @param {Object} limits - Limits from getDeadlineLimits
+ * @returns {'overdue'|'warning'|null} overdue when the deadline is today or earlier,
+ *   warning within the warning period before it
+ */
+export function getDeadlineStatus(deadline, { today, warningUntil }) {
+  if (deadline <= today) {
+    return 'overdue';
+  }
+  return deadline <= warningUntil ? 'warning' : null;
 }
 
 /**
  * Parse date from Excel cell value for training evaluation deadlines
  */
-function parseTrainingEvaluationDate(cellValue) {
+export function parseTrainingEvaluationDate(cellValue) {
   if (!cellValue) return null;
 
   // If it's already a Date object
@@ -128,16 +197,21 @@ function parseTrainingEvaluationDate(cellValue) {
     return cellValue;
   }
 
-  // If it's an Excel serial number
+  // If it's an Excel serial number - a calendar day without timezone, mapped to the plant day
   if (typeof cellValue === 'number') {
-    // Excel serial date conversion
-    const excelEpoch = new Date(1900, 0, 1);
-    const days = cellValue - 2; // Excel has a leap year bug for 1900
-    return new Date(excelEpoch.getTime() + days * 24 * 60 * 60 * 1000);
+    // Day 0 is 1899-12-30 (Excel has a leap year bug for 1900)
+    const excelEpoch = Date.UTC(1899, 11, 30);
+    const dayKey = new Date(excelEpoch + Math.floor(cellValue) * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    return getPlantDayStart(dayKey);
   }
 
-  // If it's a string, try to parse it
+  // If it's a string, try to parse it (plain YYYY-MM-DD dates are plant days)
   if (typeof cellValue === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(cellValue.trim())) {
+      return getPlantDayStart(cellValue.trim());
+    }
     const parsed = new Date(cellValue);
     return isNaN(parsed.getTime()) ? null : parsed;
   }
@@ -146,84 +220,68 @@ function parseTrainingEvaluationDate(cellValue) {
 }
 
 /**
- * Convert Excel column letter to index (A=0, B=1, ..., Z=25, AA=26, etc.)
- */
-function excelColumnToIndex(letter) {
-  let result = 0;
-  for (let i = 0; i < letter.length; i++) {
-    result = result * 26 + (letter.charCodeAt(i) - 'A'.charCodeAt(0) + 1);
-  }
-  return result - 1;
-}
-
-/**
- * Send HR training evaluation reminder email notification
+ * Send one HR training evaluation reminder listing the overdue and upcoming trainings of a
+ * supervisor's team
+ * @param {Object} supervisor - { email, name, locale }
+ * @param {Array<Object>} trainings - Overdue: { trainingName, traineeName, trainingDate,
+ *   evaluationDeadline, daysOverdue, reminderCount }
+ * @param {Array<Object>} upcomingTrainings - Deadline within the warning period, same fields
+ *   without daysOverdue and reminderCount
+ * @param {string} dedupKey - Deduplication key of the reminder
  */
 export async function sendHrTrainingEvaluationNotification(
-  supervisorEmail,
-  supervisorName,
-  trainingName,
-  evaluationDeadline,
-  excelFilePath
+  supervisor,
+  trainings,
+  upcomingTrainings,
+  dedupKey
 ) {
-  try {
-    const subject = `Przypomnienie HR: Ocena efektywności szkoleń - ${trainingName}`;
-    const html = createHrTrainingEvaluationEmailContent(
-      supervisorName,
-      trainingName,
-      evaluationDeadline,
-      excelFilePath
-    );
-
-    if (process.env.NODE_ENV === 'development') {
-      console.log('[DEVELOPMENT] Would send email with:');
-      console.log('To:', supervisorEmail);
-      console.log('Subject:', subject);
-      console.log('HTML:', html);
-    }
-    if (process.env.NODE_ENV === 'development') {
-      console.log(
-        `[DEV] Sending email to: ${supervisorEmail} | Subject: ${subject}`
-      );
-    }
-
-    await axios.post(`${process.env.API_URL}/mailer`, {
-      to: supervisorEmail,
-      subject,
-      html,
-    });
+  const supervisorEmail = supervisor.email;
+  const { subject, html } = renderEmail(
+    'hr-training-evaluation-reminder',
+    { supervisorName: supervisor.name, trainings, upcomingTrainings },
+    { locale: supervisor.locale }
+  );
 
-    return { success: true, email: supervisorEmail };
-  } catch (error) {
+  const result = await sendEmail(
+    { to: supervisorEmail, subject, html },
+    { module: 'hr-training', template: 'hr-training-evaluation-reminder', dedupKey }
+  );
+  if (!result.success) {
     console.error(
       `Error sending HR training evaluation email to ${supervisorEmail}:`,
-      error.message
+      result.error
     );
-    return { success: false, email: supervisorEmail, error: error.message };
   }
+
+  return { success: result.success, email: supervisorEmail, error: result.error };
 }
 
 /**
  * Send an email to HR for errors or summary notifications
+ * @param {string} template - Email template name
+ * @param {Object} data - Template data
+ * @param {string} [dedupKey] - Deduplication key
+ * @returns {Promise<boolean>} Whether the email was sent
  */
-async function sendHrErrorOrSummaryEmail(subject, html) {
-  try {
-    // Get HR email from environment variable
-    const hrEmail = process.env.HR_EMAIL;
-    if (!hrEmail) {
-      console.error('HR_EMAIL is not configured in environment variables');
-      return;
-    }
-    const recipients = [hrEmail];
+async function sendHrErrorOrSummaryEmail(template, data, dedupKey) {
+  // Get HR email from environment variable
+  const hrEmail = process.env.HR_EMAIL;
+  if (!hrEmail) {
+    console.error('HR_EMAIL is not configured in environment variables');
+    return false;
+  }
 
-    await axios.post(`${process.env.API_URL}/mailer`, {
-      to: recipients.join(','), // Multiple recipients separated by comma
-      subject,
-      html,
-    });
-  } catch (error) {
-    console.error(`Error sending HR error/summary email:`, error.message);
+  const { subject, html } = renderEmail(template, data, {
+    locale: process.env.HR_EMAIL_LOCALE,
+  });
+  const result = await sendEmail(
+    { to: parseEmailAddresses(hrEmail), subject, html },
+    { module: 'hr-training', template, dedupKey }
+  );
+  if (!result.success) {
+    console.error(`Error sending HR error/summary email:`, result.error);
   }
+  return result.success;
 }
 
 /**
@@ -236,21 +294,35 @@ export async function sendHrTrainingEvaluationNotifications() {
   );
 
   try {
-    // Check if HR training Excel file exists
-    if (!fs.existsSync(HR_TRAINING_CONFIG.excelFilePath)) {
+    // Read the HR training Excel file from the SMB share
+    const trainingFile = await readTrainingFileFromSmb();
+    if (!trainingFile.content) {
+      console.error(`HR training Excel file not found: ${trainingFile.path}`);
+      // Send notification to HR department
+      await sendHrErrorOrSummaryEmail('hr-training-file-missing', {
+        filePath: trainingFile.path,
+      });
+      return;
+    }
+
+    // Do not remind supervisors based on an outdated file
+    const file = {
+      path: trainingFile.path,
+      modifiedAt: trainingFile.modifiedAt,
+      ageHours: Math.max(0, Math.floor((startTime - trainingFile.modifiedAt) / HOUR_MS)),
+    };
+    if (file.ageHours >= HR_TRAINING_CONFIG.maxFileAgeDays * 24) {
       console.error(
-        `HR training Excel file not found: ${HR_TRAINING_CONFIG.excelFilePath}`
-      );
-      // Send notification to HR department (Polish)
-      await sendHrErrorOrSummaryEmail(
-        'Brak pliku do oceny szkoleń HR',
-        `<p>Nie odnaleziono pliku z oceną szkoleń HR pod wskazaną ścieżką:<br/><strong>${HR_TRAINING_CONFIG.excelFilePath}</strong></p>`
+        `HR training Excel file ${file.path} was last modified ${file.modifiedAt.toLocaleString()} (older than ${HR_TRAINING_CONFIG.maxFileAgeDays} days), no reminders sent`
       );
+      await sendHrErrorOrSummaryEmail('hr-training-file-stale', {
+        file,
+        maxAgeDays: HR_TRAINING_CONFIG.maxFileAgeDays,
+      });
       return;
     }
 
-    // Read the HR training Excel file
-    const workbook = XLSX.readFile(HR_TRAINING_CONFIG.excelFilePath);
+    const workbook = XLSX.read(trainingFile.content, { type: 'buffer' });
     const sheetName = HR_TRAINING_CONFIG.sheetName || workbook.SheetNames[0];
 
     if (!workbook.Sheets[sheetName]) {
@@ -263,29 +335,43 @@ export async function sendHrTrainingEvaluationNotifications() {
     // Get the range of the HR training worksheet
     const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
 
-    // Convert HR training column letters to indices
-    const evaluationDeadlineColIndex = excelColumnToIndex(
-      HR_TRAINING_CONFIG.evaluationDeadlineColumn
-    ); // Column Z
-    const supervisorNameColIndex = excelColumnToIndex(
-      HR_TRAINING_CONFIG.supervisorNameColumn
-    ); // Column W
-    const trainingNameColIndex = excelColumnToIndex(
-      HR_TRAINING_CONFIG.trainingNameColumn
-    ); // Column C
-    const traineeNameColIndex = excelColumnToIndex(
-      HR_TRAINING_CONFIG.traineeNameColumn
-    ); // Column J
-    const evaluationResultColIndex = excelColumnToIndex(
-      HR_TRAINING_CONFIG.evaluationResultColumn
-    ); // Column AC
+    // Locate the header row and columns by header text
+    const { headerRow, columns, missing, headers } = detectColumns(worksheet);
+    if (headerRow === null) {
+      const aliases = getColumnAliases();
+      console.error(
+        `HR training sheet "${sheetName}" is missing required columns: ${missing.join(', ')}`
+      );
+      await sendHrErrorOrSummaryEmail('hr-training-schema-mismatch', {
+        filePath: file.path,
+        sheetName,
+        missing: missing.map((column) => ({ column, aliases: aliases[column] })),
+        headers,
+      });
+      const error = new Error(
+        `HR training workbook does not match the expected layout, missing columns: ${missing.join(', ')}`
+      );
+      error.context = { filePath: file.path, sheetName, missing };
+      throw error;
+    }
+    console.log(`HR training header row: ${headerRow + 1}`);
+
+    const getCellValue = (row, column) =>
+      worksheet[XLSX.utils.encode_cell({ r: row, c: columns[column] })]?.v;
+
+    // Supervisors are matched by name against users synced from LDAP
+    const directory = await loadUserDirectory();
+    const supervisors = new Map(); // Resolution per workbook name
+    const unresolvedSupervisors = new Map(); // Not found, ambiguous or guessed names with their rows
+    const supervisorReminders = new Map(); // Overdue and upcoming trainings per supervisor email
 
     // Get today's date for deadline checking
-    const todaysDate = getTodaysDate();
+    const deadlineLimits = getDeadlineLimits();
+    const { today: todaysDate, todayKey, warningUntil } = deadlineLimits;
     console.log(
       `Checking for HR training evaluation deadlines on or before: ${todaysDate.toLocaleDateString(
         'pl-PL'
-      )}`
+      )} (warnings until ${warningUntil.toLocaleDateString('pl-PL')})`
     );
 
     let processedRows = 0;
@@ -293,40 +379,20 @@ export async function sendHrTrainingEvaluationNotifications() {
     let errors = [];
     let invalidSupervisorRows = [];
     let skippedEvaluations = 0;
+    let alreadySentToday = 0;
+    let unresolvedRows = 0;
 
-    // Process each row in the HR training file (start from row 8 to skip headers and functional rows 1-7)
-    for (let row = 7; row <= range.e.r; row++) {
+    // Process each row below the header row
+    for (let row = headerRow + 1; row <= range.e.r; row++) {
       processedRows++;
 
-      // Get HR training cell values
-      const deadlineCellAddress = XLSX.utils.encode_cell({
-        r: row,
-        c: evaluationDeadlineColIndex,
-      });
-      const nameCellAddress = XLSX.utils.encode_cell({
-        r: row,
-        c: supervisorNameColIndex,
-      });
-      const trainingCellAddress = XLSX.utils.encode_cell({
-        r: row,
-        c: trainingNameColIndex,
-      });
-      const traineeCellAddress = XLSX.utils.encode_cell({
-        r: row,
-        c: traineeNameColIndex,
-      });
-      const evaluationResultCellAddress = XLSX.utils.encode_cell({
-        r: row,
-        c: evaluationResultColIndex,
-      });
+      const deadlineValue = getCellValue(row, 'deadline');
+      const nameValue = getCellValue(row, 'supervisor');
+      const trainingValue = getCellValue(row, 'training');
+      const traineeValue = getCellValue(row, 'trainee');
+      const evaluationResultValue = getCellValue(row, 'evaluationResult');
 
-      const deadlineValue = worksheet[deadlineCellAddress]?.v;
-      const nameValue = worksheet[nameCellAddress]?.v;
-      const trainingValue = worksheet[trainingCellAddress]?.v;
-      const traineeValue = worksheet[traineeCellAddress]?.v;
-      const evaluationResultValue = worksheet[evaluationResultCellAddress]?.v;
-
-      // Skip rows without trainee name (column J)
+      // Skip rows without trainee name
       if (!traineeValue || typeof traineeValue !== 'string') {
         continue;
       }
@@ -336,12 +402,12 @@ export async function sendHrTrainingEvaluationNotifications() {
         invalidSupervisorRows.push({
           row: row + 1,
           nameValue,
-          reason: 'Brak lub nieprawidłowe dane przełożonego',
+          reason: 'missing-supervisor',
         });
         continue;
       }
 
-      // Skip if evaluation result exists in column AC
+      // Skip if evaluation result exists
       if (
         evaluationResultValue !== undefined &&
         evaluationResultValue !== null &&
@@ -357,28 +423,143 @@ export async function sendHrTrainingEvaluationNotifications() {
         continue;
       }
 
-      // Check if HR training evaluation deadline has passed (date is today or earlier)
-      if (parsedDeadline <= todaysDate) {
-        const supervisorEmail = convertNameToEmail(nameValue);
-        const result = await sendHrTrainingEvaluationNotification(
-          supervisorEmail,
-          nameValue,
-          trainingValue,
-          parsedDeadline,
-          HR_TRAINING_CONFIG.excelFilePath
-        );
+      // Deadline passed (today or earlier) or within the warning period before the deadline
+      const deadlineStatus = getDeadlineStatus(parsedDeadline, deadlineLimits);
+      const isOverdue = deadlineStatus === 'overdue';
+      if (deadlineStatus) {
+        if (!supervisors.has(nameValue)) {
+          supervisors.set(nameValue, resolveSupervisor(directory, nameValue));
+        }
+        const supervisor = supervisors.get(nameValue);
+
+        // Report names that were not matched to exactly one user
+        if (supervisor.status !== 'resolved') {
+          if (!unresolvedSupervisors.has(nameValue)) {
+            unresolvedSupervisors.set(nameValue, {
+              name: nameValue,
+              status: supervisor.status,
+              email: supervisor.email,
+              candidates: supervisor.candidates || [],
+              rows: [],
+            });
+          }
+          unresolvedSupervisors.get(nameValue).rows.push(row + 1);
+        }
+        if (!supervisor.email) {
+          unresolvedRows++;
+          continue;
+        }
 
-        if (result.success) {
-          hrNotificationsSent++;
+        // Collect trainings per supervisor - one reminder each
+        if (!supervisorReminders.has(supervisor.email)) {
+          supervisorReminders.set(supervisor.email, {
+            supervisor: { email: supervisor.email, name: nameValue, locale: supervisor.locale },
+            trainings: [],
+            upcomingTrainings: [],
+          });
+        }
+        const training = {
+          trainingName: trainingValue,
+          traineeName: traineeValue,
+          trainingDate: parseTrainingEvaluationDate(getCellValue(row, 'trainingDate')),
+          evaluationDeadline: parsedDeadline,
+          supervisorName: nameValue,
+          supervisorEmail: supervisor.email,
+        };
+        training.key = buildRowKey(training);
+        if (isOverdue) {
+          training.daysOverdue = getPlantDaysBetween(getPlantDayKey(parsedDeadline), todayKey);
+          supervisorReminders.get(supervisor.email).trainings.push(training);
         } else {
-          errors.push(result);
+          supervisorReminders.get(supervisor.email).upcomingTrainings.push(training);
         }
+      }
+    }
+
+    // Reminder counts, warnings and escalations are kept per row in Mongo between runs
+    const reminderStates = await loadReminderStates(
+      [...supervisorReminders.values()].flatMap(({ trainings, upcomingTrainings }) =>
+        [...trainings, ...upcomingTrainings].map((training) => training.key)
+      )
+    );
 
-        // Add a small delay between HR training emails to avoid overwhelming the email service
-        // Add a 3 second delay between HR training emails to avoid overwhelming the email service
-        await new Promise((resolve) => setTimeout(resolve, 3000)); // 3 second delay
+    // Send one reminder per supervisor, oldest deadline first
+    const supervisorSummary = [];
+    let warningsSent = 0;
+    for (const { supervisor, trainings, upcomingTrainings } of supervisorReminders.values()) {
+      for (const training of trainings) {
+        training.reminderCount = reminderStates.get(training.key)?.reminderCount || 0;
+      }
+      // Each row is warned once before its deadline
+      const warnings = upcomingTrainings.filter(
+        (training) => !reminderStates.get(training.key)?.warningSentAt
+      );
+      if (trainings.length === 0 && warnings.length === 0) continue;
+
+      trainings.sort((a, b) => a.evaluationDeadline - b.evaluationDeadline);
+      warnings.sort((a, b) => a.evaluationDeadline - b.evaluationDeadline);
+      const entry = {
+        name: supervisor.name,
+        email: supervisor.email,
+        trainings: trainings.length,
+        upcoming: warnings.length,
+      };
+      supervisorSummary.push(entry);
+
+      // Skip supervisors already reminded today (e.g. job re-run after a restart)
+      const dedupKey = buildDedupKey('hr-training-evaluation', supervisor.email);
+      if (await wasEmailSentToday(dedupKey)) {
+        entry.status = 'already-sent';
+        alreadySentToday++;
+        continue;
+      }
+
+      const result = await sendHrTrainingEvaluationNotification(
+        supervisor,
+        trainings,
+        warnings,
+        dedupKey
+      );
+      if (result.success) {
+        entry.status = 'sent';
+        hrNotificationsSent++;
+        warningsSent += warnings.length;
+        await recordReminders(trainings, 'reminder', new Date());
+        await recordReminders(warnings, 'warning', new Date());
+        trainings.forEach((training) => training.reminderCount++);
+      } else {
+        entry.status = 'failed';
+        errors.push(result);
       }
     }
+    supervisorSummary.sort((a, b) => b.trainings - a.trainings);
+
+    // Report rows overdue for too long to HR, once per row
+    const escalations = [...supervisorReminders.values()]
+      .flatMap(({ trainings }) => trainings)
+      .filter(
+        (training) =>
+          training.daysOverdue >= HR_TRAINING_CONFIG.escalateAfterDays &&
+          !reminderStates.get(training.key)?.escalatedAt
+      )
+      .sort((a, b) => b.daysOverdue - a.daysOverdue);
+    let escalated = 0;
+    if (escalations.length > 0) {
+      const dedupKey = buildDedupKey('hr-training-escalation', todayKey);
+      const sent =
+        !(await wasEmailSentToday(dedupKey)) &&
+        (await sendHrErrorOrSummaryEmail(
+          'hr-training-escalation',
+          { trainings: escalations, escalateAfterDays: HR_TRAINING_CONFIG.escalateAfterDays },
+          dedupKey
+        ));
+      if (sent) {
+        escalated = escalations.length;
+        await recordReminders(escalations, 'escalation', new Date());
+      }
+    }
+
+    const overdueTrainings = supervisorSummary.reduce((sum, entry) => sum + entry.trainings, 0);
 
     // Log HR training evaluation summary
     const endTime = new Date();
@@ -388,7 +569,7 @@ export async function sendHrTrainingEvaluationNotifications() {
       `HR training evaluation notifications completed at ${endTime.toLocaleString()}`
     );
     console.log(
-      `Duration: ${duration}s | Processed: ${processedRows} rows | HR notifications sent: ${hrNotificationsSent}`
+      `Duration: ${duration}s | Processed: ${processedRows} rows | Supervisors: ${supervisorSummary.length} | Overdue trainings: ${overdueTrainings} | HR notifications sent: ${hrNotificationsSent} | Warnings: ${warningsSent} | Escalated: ${escalated} | Already sent today: ${alreadySentToday} | Unresolved supervisors: ${unresolvedSupervisors.size} (${unresolvedRows} rows) | File age: ${file.ageHours}h`
     );
 
     if (errors.length > 0) {
@@ -402,44 +583,25 @@ export async function sendHrTrainingEvaluationNotifications() {
       });
     }
 
-    // Send summary email to HR (Polish)
-    const summaryHtml = `
-      <h3>Podsumowanie powiadomień o ocenie szkoleń HR</h3>
-      <p><strong>Przetworzone wiersze:</strong> ${processedRows}</p>
-      <p><strong>Wysłane powiadomienia:</strong> ${hrNotificationsSent}</p>
-      <p><strong>Błędy (brakujące/nieprawidłowe dane przełożonych):</strong> ${
-        invalidSupervisorRows.length
-      }</p>
-      ${
-        invalidSupervisorRows.length > 0
-          ? `<ul>${invalidSupervisorRows
-              .map(
-                (e) =>
-                  `<li>Wiersz ${e.row}: ${e.nameValue || '(puste)'} - ${
-                    e.reason
-                  }</li>`
-              )
-              .join('')}</ul>`
-          : ''
-      }
-      <p><strong>Wykonane oceny bez aktualizacji daty:</strong> ${skippedEvaluations}</p>
-      <p><strong>Inne błędy powiadomień:</strong> ${errors.length}</p>
-      ${
-        errors.length > 0
-          ? `<ul>${errors
-              .map((e) => `<li>${e.email}: ${e.error}</li>`)
-              .join('')}</ul>`
-          : ''
-      }
-      <p>Czas trwania: ${duration}s</p>
-      <p>Uruchomienie skryptu: ${startTime.toLocaleString(
-        'pl-PL'
-      )} - ${endTime.toLocaleString('pl-PL')}</p>
-    `;
-    await sendHrErrorOrSummaryEmail(
-      'Podsumowanie powiadomień o ocenie szkoleń HR',
-      summaryHtml
-    );
+    // Send summary email to HR
+    await sendHrErrorOrSummaryEmail('hr-training-summary', {
+      processedRows,
+      notificationsSent: hrNotificationsSent,
+      alreadySentToday,
+      supervisors: supervisorSummary,
+      overdueTrainings,
+      warningsSent,
+      escalated,
+      invalidSupervisorRows,
+      unresolvedSupervisors: [...unresolvedSupervisors.values()],
+      unresolvedRows,
+      skippedEvaluations,
+      errors,
+      duration,
+      startedAt: startTime,
+      endedAt: endTime,
+      file,
+    });
   } catch (error) {
     console.error('Error in sendHrTrainingEvaluationNotifications:', error);
     throw error; // Re-throw to allow executeWithErrorNotification to handle it
@@ -0,0 +1,109 @@
+import dotenv from 'dotenv';
+import { dbc } from '../lib/mongo.js';
+import { getPlantDayKey } from '../lib/plant-date.js';
+
+dotenv.config();
+
+// Reminder state per workbook row, one document per training, trainee and deadline:
+// {
+//   key,                              // row identity, see buildRowKey
+//   trainingName, traineeName, evaluationDeadline, supervisorName, supervisorEmail,
+//   warningSentAt,                    // pre-deadline warning sent (once)
+//   reminderCount, lastReminderAt,    // overdue reminders sent
+//   escalatedAt,                      // overdue row reported to HR (once)
+//   createdAt, updatedAt,
+// }
+export const HR_TRAINING_REMINDERS_COLLECTION = 'hr_training_reminders';
+
+let indexesEnsured = false;
+
+/**
+ * Get reminder state collection, creating its indexes on first use
+ * @returns {Promise<Collection>}
+ */
+async function getRemindersCollection() {
+  const coll = await dbc(HR_TRAINING_REMINDERS_COLLECTION);
+
+  if (!indexesEnsured) {
+    try {
+      await coll.createIndex({ key: 1 }, { unique: true });
+      indexesEnsured = true;
+    } catch (error) {
+      console.error(`Failed to create ${HR_TRAINING_REMINDERS_COLLECTION} indexes:`, error.message);
+    }
+  }
+
+  return coll;
+}
+
+/**
+ * Identity of a workbook row - independent of its position, so inserted rows do not reset counts
+ * A changed deadline starts a new row state
+ * @param {Object} training - { trainingName, traineeName, evaluationDeadline }
+ * @returns {string}
+ */
+export function buildRowKey(training) {
+  const normalize = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return [
+    normalize(training.trainingName),
+    normalize(training.traineeName),
+    getPlantDayKey(training.evaluationDeadline),
+  ].join('|');
+}
+
+/**
+ * Load reminder states of rows
+ * @param {string[]} keys - Row keys
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function loadReminderStates(keys) {
+  if (keys.length === 0) {
+    return new Map();
+  }
+  const coll = await getRemindersCollection();
+  const states = await coll.find({ key: { $in: keys } }).toArray();
+  return new Map(states.map((state) => [state.key, state]));
+}
+
+/**
+ * Record a sent reminder, warning or escalation for rows
+ * @param {Array<Object>} trainings - Rows with key, trainingName, traineeName, evaluationDeadline,
+ *   supervisorName and supervisorEmail
+ * @param {'warning'|'reminder'|'escalation'} kind - What was sent
+ * @param {Date} at - Send time
+ */
+export async function recordReminders(trainings, kind, at) {
+  if (trainings.length === 0) {
+    return;
+  }
+  const coll = await getRemindersCollection();
+
+  const update = {
+    warning: { $set: { warningSentAt: at } },
+    reminder: { $set: { lastReminderAt: at }, $inc: { reminderCount: 1 } },
+    escalation: { $set: { escalatedAt: at } },
+  }[kind];
+
+  await coll.bulkWrite(
+    trainings.map((training) => ({
+      updateOne: {
+        filter: { key: training.key },
+        update: {
+          ...update,
+          $set: {
+            ...update.$set,
+            trainingName: training.trainingName,
+            traineeName: training.traineeName,
+            evaluationDeadline: training.evaluationDeadline,
+            supervisorName: training.supervisorName,
+            supervisorEmail: training.supervisorEmail,
+            updatedAt: at,
+          },
+          $setOnInsert: { createdAt: at },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
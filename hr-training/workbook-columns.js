@@ -0,0 +1,163 @@
+import dotenv from 'dotenv';
+import XLSX from 'xlsx';
+
+dotenv.config();
+
+// Columns of the HR training workbook, located by header text
+// Aliases are compared ignoring case, Polish characters, line breaks and trailing ':' or '*'
+const HR_TRAINING_COLUMNS = {
+  training: {
+    required: true,
+    aliases: ['Nazwa szkolenia', 'Temat szkolenia', 'Szkolenie', 'Training'],
+  },
+  trainee: {
+    required: true,
+    aliases: ['Nazwisko i imię', 'Imię i nazwisko', 'Uczestnik', 'Pracownik', 'Trainee'],
+  },
+  supervisor: {
+    required: true,
+    aliases: ['Przełożony', 'Bezpośredni przełożony', 'Nazwisko i imię przełożonego', 'Supervisor'],
+  },
+  deadline: {
+    required: true,
+    aliases: [
+      'Termin oceny efektywności',
+      'Termin oceny efektywności szkolenia',
+      'Termin oceny',
+      'Evaluation deadline',
+    ],
+  },
+  trainingDate: {
+    required: false,
+    aliases: ['Data szkolenia', 'Data realizacji szkolenia', 'Termin szkolenia', 'Training date'],
+  },
+  evaluationResult: {
+    required: true,
+    aliases: ['Ocena efektywności', 'Ocena efektywności szkolenia', 'Wynik oceny', 'Evaluation result'],
+  },
+};
+
+// Rows searched for the header row, from the top of the sheet
+const HEADER_SCAN_ROWS = parseInt(process.env.HR_TRAINING_HEADER_SCAN_ROWS || '20');
+
+/**
+ * Additional header aliases from HR_TRAINING_COLUMN_ALIASES (JSON: { "<column>": ["alias", ...] })
+ * @returns {Object<string, string[]>}
+ */
+function getConfiguredAliases() {
+  if (!process.env.HR_TRAINING_COLUMN_ALIASES) {
+    return {};
+  }
+  try {
+    const aliases = JSON.parse(process.env.HR_TRAINING_COLUMN_ALIASES);
+    return Object.fromEntries(
+      Object.entries(aliases).filter(
+        ([column, values]) => HR_TRAINING_COLUMNS[column] && Array.isArray(values)
+      )
+    );
+  } catch (error) {
+    console.error('Invalid HR_TRAINING_COLUMN_ALIASES, using default aliases:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Normalize header text for comparison
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function normalizeHeader(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[łŁ]/g, 'l')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s:*]+$/, '')
+    .trim();
+}
+
+/**
+ * Header aliases per column, configured aliases first
+ * @returns {Object<string, string[]>}
+ */
+export function getColumnAliases() {
+  const configured = getConfiguredAliases();
+  return Object.fromEntries(
+    Object.entries(HR_TRAINING_COLUMNS).map(([column, { aliases }]) => [
+      column,
+      [...(configured[column] || []), ...aliases],
+    ])
+  );
+}
+
+/**
+ * Match the cells of one row against the column aliases
+ * @param {Object} worksheet - XLSX worksheet
+ * @param {number} row - Row index (0-based)
+ * @param {Object} range - Decoded sheet range
+ * @param {Object<string, Set<string>>} normalizedAliases - Normalized aliases per column
+ * @returns {{columns: Object<string, number>, headers: string[]}}
+ */
+function matchHeaderRow(worksheet, row, range, normalizedAliases) {
+  const columns = {};
+  const headers = [];
+
+  for (let col = range.s.c; col <= range.e.c; col++) {
+    const value = worksheet[XLSX.utils.encode_cell({ r: row, c: col })]?.v;
+    const header = normalizeHeader(value);
+    if (!header) continue;
+    headers.push(String(value).replace(/\s+/g, ' ').trim());
+
+    for (const [column, aliases] of Object.entries(normalizedAliases)) {
+      // First matching cell wins, so a repeated header does not move the column
+      if (columns[column] === undefined && aliases.has(header)) {
+        columns[column] = col;
+      }
+    }
+  }
+
+  return { columns, headers };
+}
+
+/**
+ * Locate the header row and the column of every field in the worksheet
+ * The header row is the first of the top HR_TRAINING_HEADER_SCAN_ROWS rows with all required
+ * columns; when there is none, the row with the most matches is reported as the best candidate
+ * @param {Object} worksheet - XLSX worksheet
+ * @returns {{headerRow: number|null, columns: Object<string, number>, missing: string[], headers: string[]}}
+ *   headerRow is 0-based, null when required columns are missing
+ */
+export function detectColumns(worksheet) {
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  const aliases = getColumnAliases();
+  const normalizedAliases = Object.fromEntries(
+    Object.entries(aliases).map(([column, values]) => [
+      column,
+      new Set(values.map(normalizeHeader)),
+    ])
+  );
+  const required = Object.keys(HR_TRAINING_COLUMNS).filter(
+    (column) => HR_TRAINING_COLUMNS[column].required
+  );
+
+  let best = { columns: {}, headers: [] };
+  const lastRow = Math.min(range.e.r, range.s.r + HEADER_SCAN_ROWS - 1);
+  for (let row = range.s.r; row <= lastRow; row++) {
+    const match = matchHeaderRow(worksheet, row, range, normalizedAliases);
+    const missing = required.filter((column) => match.columns[column] === undefined);
+    if (missing.length === 0) {
+      return { headerRow: row, columns: match.columns, missing: [], headers: match.headers };
+    }
+    if (Object.keys(match.columns).length > Object.keys(best.columns).length) {
+      best = match;
+    }
+  }
+
+  return {
+    headerRow: null,
+    columns: best.columns,
+    missing: required.filter((column) => best.columns[column] === undefined),
+    headers: best.headers,
+  };
+}
@@ -0,0 +1,184 @@
+import { archiveScans } from './archive-scans.js';
+import { sendDeviationApprovalReminders } from './deviations/send-reminders.js';
+import { deviationsStatusUpdate } from './deviations/status-update.js';
+import { sendHrTrainingEvaluationNotifications } from './hr-training/evaluation-notifications.js';
+import { errorCollector } from './lib/error-collector.js';
+import { statusCollector } from './lib/status-collector.js';
+import { temperatureMissingSensorCollector } from './lib/temperature-missing-sensor-collector.js';
+import { temperatureOutlierCollector } from './lib/temperature-outlier-collector.js';
+import { logOvenTemperature } from './log-oven-temperature.js';
+import { monitorEOL308Backup } from './monitors/eol308-backup.js';
+import { monitorLv1Backup } from './monitors/lv1-backup.js';
+import { monitorLv2Backup } from './monitors/lv2-backup.js';
+import { monitorPm2ErrorLogs } from './monitors/pm2-error-logs.js';
+import { monitorSqlLv1Backup } from './monitors/sql-lv1-backup.js';
+import { monitorSqlLv2Backup } from './monitors/sql-lv2-backup.js';
+import { sendMonthlyOvertimeReport } from './production-overtime/monthly-report.js';
+import {
+  sendCompletedTaskAttendanceReminders,
+  sendOvertimeApprovalReminders,
+} from './production-overtime/send-reminders.js';
+import { syncLdapUsers } from './sync/ldap-users.js';
+import { syncR2platnikEmployees } from './sync/r2platnik-employees.js';
+
+/**
+ * Declared cron jobs
+ * Schedules can be overridden without code changes via the JOB_CONFIG_PATH
+ * JSON file or the cron_job_configs collection (see lib/job-registry.js)
+ */
+export const JOBS = [
+  // Deviations tasks
+  // -----------------------
+  {
+    name: 'sendDeviationApprovalReminders',
+    schedule: '0 3 * * 1-5',
+    description: 'Pending deviation approval reminders (workdays at 03:00)',
+    handler: sendDeviationApprovalReminders,
+    workingDaysOnly: true,
+  },
+  {
+    name: 'deviationsStatusUpdate',
+    schedule: '0 */2 * * *',
+    description: 'Deviation status update (every 2 hours)',
+    handler: deviationsStatusUpdate,
+  },
+
+  // Production overtime tasks
+  // -------------------------------
+  {
+    name: 'sendOvertimeApprovalReminders',
+    schedule: '0 3 * * 1-5',
+    description: 'Pending production overtime approval reminders (workdays at 03:00)',
+    handler: sendOvertimeApprovalReminders,
+    workingDaysOnly: true,
+  },
+  {
+    name: 'sendCompletedTaskAttendanceReminders',
+    schedule: '0 9 * * 1-5',
+    description: 'Completed task attendance list reminders (workdays at 09:00)',
+    handler: sendCompletedTaskAttendanceReminders,
+    workingDaysOnly: true,
+  },
+  {
+    name: 'sendMonthlyOvertimeReport',
+    schedule: '0 6 1 * *',
+    description: 'Monthly production overtime report for the previous month (1st of the month at 06:00)',
+    handler: sendMonthlyOvertimeReport,
+  },
+
+  // HR Training Evaluation Notifications
+  // ------------------------------------
+  {
+    name: 'sendHrTrainingEvaluationNotifications',
+    schedule: '0 3 * * 1-5',
+    description: 'HR training evaluation deadline notifications (workdays at 03:00)',
+    handler: sendHrTrainingEvaluationNotifications,
+    workingDaysOnly: true,
+  },
+
+  // Data synchronization tasks
+  // --------------------------
+  {
+    name: 'syncR2platnikEmployees',
+    schedule: '0 16 * * 1-5',
+    description: 'R2platnik employees synchronization (workdays at 16:00)',
+    handler: syncR2platnikEmployees,
+  },
+  {
+    name: 'syncLdapUsers',
+    schedule: '0 16 * * 1-5',
+    description: 'LDAP users synchronization (workdays at 16:00)',
+    handler: syncLdapUsers,
+  },
+
+  // PM2 Error Log Monitoring
+  // ------------------------
+  {
+    name: 'monitorPm2ErrorLogs',
+    schedule: '*/15 * * * *',
+    description: 'PM2 error log monitoring (every 15 minutes)',
+    handler: monitorPm2ErrorLogs,
+  },
+
+  // Backup Monitoring tasks (before daily summary at 08:00)
+  // -----------------------
+  {
+    name: 'monitorLv1Backup',
+    schedule: '0 7 * * *',
+    description: 'LV1 MVC_Pictures backup monitoring (daily at 07:00)',
+    handler: monitorLv1Backup,
+  },
+  {
+    name: 'monitorLv2Backup',
+    schedule: '0 7 * * *',
+    description: 'LV2 Zasoby backup monitoring (daily at 07:00)',
+    handler: monitorLv2Backup,
+  },
+  {
+    name: 'monitorSqlLv1Backup',
+    schedule: '0 7 * * *',
+    description: 'LV1 SQL backup monitoring (daily at 07:00)',
+    handler: monitorSqlLv1Backup,
+  },
+  {
+    name: 'monitorSqlLv2Backup',
+    schedule: '0 7 * * *',
+    description: 'LV2 SQL backup monitoring (daily at 07:00)',
+    handler: monitorSqlLv2Backup,
+  },
+  {
+    name: 'monitorEOL308Backup',
+    schedule: '0 7 * * *',
+    description: 'EOL308 backup monitoring (daily at 07:00)',
+    handler: monitorEOL308Backup,
+  },
+
+  // Maintenance tasks
+  // ----------------
+  {
+    name: 'archiveScans',
+    schedule: '0 22 * * 0',
+    description: 'Archiving of scans (Sundays at 22:00)',
+    handler: archiveScans,
+  },
+  {
+    name: 'logOvenTemperature',
+    schedule: '* * * * *',
+    description: 'Oven sensor logging (every minute)',
+    handler: logOvenTemperature,
+  },
+
+  // Error reporting tasks
+  // ---------------------
+  {
+    name: 'sendErrorBatchNotification',
+    schedule: '0 * * * *',
+    description: 'Batch error notification (hourly)',
+    handler: () => errorCollector.sendBatchNotification(),
+    trackStatus: false,
+  },
+  {
+    name: 'sendTemperatureOutlierBatchNotification',
+    schedule: '0 * * * *',
+    description: 'Batch temperature outlier notification (hourly)',
+    handler: () => temperatureOutlierCollector.sendBatchNotification(),
+    trackStatus: false,
+  },
+  {
+    name: 'sendMissingSensorBatchNotification',
+    schedule: '0 * * * *',
+    description: 'Batch missing sensor notification (hourly)',
+    handler: () => temperatureMissingSensorCollector.sendBatchNotification(),
+    trackStatus: false,
+  },
+
+  // Status reporting tasks
+  // ----------------------
+  {
+    name: 'sendStatusSummary',
+    schedule: '0 8 * * *',
+    description: 'Daily status summary of all executions since the last summary (daily at 08:00)',
+    handler: () => statusCollector.sendStatusSummary(),
+    trackStatus: false,
+  },
+];
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv';
+import { dbc } from './mongo.js';
+
+dotenv.config();
+
+// Absence periods declared by users, one document per period:
+// { userEmail, deputyEmail, from: Date, to: Date, reason?: string, createdAt?: Date }
+export const ABSENCES_COLLECTION = 'user_absences';
+
+// Longest chain of deputies followed when a deputy is absent too
+const MAX_DEPUTY_CHAIN = 5;
+
+let indexesEnsured = false;
+
+/**
+ * Get absences collection, creating its indexes on first use
+ * @returns {Promise<Collection>}
+ */
+async function getAbsencesCollection() {
+  const coll = await dbc(ABSENCES_COLLECTION);
+
+  if (!indexesEnsured) {
+    try {
+      await coll.createIndex({ userEmail: 1, from: 1, to: 1 });
+      await coll.createIndex({ to: 1 });
+      indexesEnsured = true;
+    } catch (error) {
+      console.error(`Failed to create ${ABSENCES_COLLECTION} indexes:`, error.message);
+    }
+  }
+
+  return coll;
+}
+
+/**
+ * Key absences by lowercased user email
+ * Absences without a deputy (missing, blank or not a string) are ignored - reminders keep
+ * going to the absent user
+ * @param {Array<Object>} absences - Absence documents, most recently started first
+ * @returns {Map<string, Object>}
+ */
+export function indexAbsences(absences) {
+  const byEmail = new Map();
+  for (const absence of absences) {
+    if (typeof absence.deputyEmail !== 'string' || !absence.deputyEmail.trim()) continue;
+
+    const email = typeof absence.userEmail === 'string' ? absence.userEmail.toLowerCase() : null;
+    // Overlapping periods - the most recently started one wins
+    if (email && !byEmail.has(email)) {
+      byEmail.set(email, absence);
+    }
+  }
+  return byEmail;
+}
+
+/**
+ * Load absences covering the given moment, keyed by lowercased user email
+ * Absences without a deputy are ignored - reminders keep going to the absent user
+ * @param {Date} [date] - Moment to check (defaults to now)
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function getActiveAbsences(date = new Date()) {
+  const coll = await getAbsencesCollection();
+  const absences = await coll
+    .find({
+      from: { $lte: date },
+      to: { $gte: date },
+      deputyEmail: { $type: 'string', $ne: '' },
+    })
+    .sort({ from: -1 })
+    .toArray();
+
+  return indexAbsences(absences);
+}
+
+/**
+ * Follow the deputy chain of an absent user to the first present deputy
+ * @param {string} email - Email of the original recipient
+ * @param {Map<string, Object>} absences - Active absences from getActiveAbsences
+ * @returns {string|null} Deputy email, or null when the user is present or the chain
+ * loops / is too long (the original recipient is kept then)
+ */
+export function resolveDeputy(email, absences) {
+  const visited = new Set([email.toLowerCase()]);
+  let current = email.toLowerCase();
+
+  for (let i = 0; i < MAX_DEPUTY_CHAIN; i++) {
+    const absence = absences.get(current);
+    if (!absence) {
+      return current === email.toLowerCase() ? null : current;
+    }
+    current = absence.deputyEmail.toLowerCase();
+    if (visited.has(current)) {
+      return null;
+    }
+    visited.add(current);
+  }
+
+  return null;
+}
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import express from 'express';
+import { listTemplates, previewEmail } from './email-templates/index.js';
+import { getLiveness, getReadiness } from './health.js';
+import { jobRegistry } from './job-registry.js';
+import { renderMetrics } from './metrics.js';
+import { statusCollector } from './status-collector.js';
+
+dotenv.config();
+
+const DEFAULT_PORT = 3100;
+const MAX_RUNS_LIMIT = 500;
+
+/**
+ * Middleware rejecting requests without a valid X-API-KEY header
+ * @param {string} apiKey - Expected API key
+ */
+function requireApiKey(apiKey) {
+  const expected = Buffer.from(apiKey);
+
+  return (req, res, next) => {
+    const provided = Buffer.from(req.get('X-API-KEY') || '');
+    if (
+      provided.length !== expected.length ||
+      !crypto.timingSafeEqual(provided, expected)
+    ) {
+      res.status(401).json({ error: 'Invalid or missing API key' });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Build the admin router (jobs, runs, manual trigger, pause/resume, email previews)
+ * @returns {express.Router}
+ */
+function createAdminRouter() {
+  const router = express.Router();
+
+  // List jobs with their schedules and next run times
+  router.get('/jobs', (req, res) => {
+    res.json(jobRegistry.getJobs().map((job) => jobRegistry.describeJob(job)));
+  });
+
+  router.get('/jobs/:name', (req, res) => {
+    const job = jobRegistry.requireJob(req.params.name);
+    res.json(jobRegistry.describeJob(job));
+  });
+
+  // Recent runs, optionally filtered by job (?job=name&limit=50)
+  router.get('/runs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_RUNS_LIMIT);
+    const jobName = req.query.job || undefined;
+    if (jobName) {
+      jobRegistry.requireJob(jobName);
+    }
+    res.json(await statusCollector.getLatestRuns({ jobName, limit }));
+  });
+
+  // Trigger a job manually - responds immediately, the run is tracked like a scheduled one
+  router.post('/jobs/:name/run', (req, res) => {
+    const job = jobRegistry.requireJob(req.params.name);
+    jobRegistry.triggerJob(job.name).catch((error) => {
+      console.error(`Manual run of ${job.name} failed:`, error.message);
+    });
+    res.status(202).json({ triggered: true, job: jobRegistry.describeJob(job) });
+  });
+
+  router.post('/jobs/:name/pause', async (req, res) => {
+    const job = await jobRegistry.pauseJob(req.params.name);
+    res.json(jobRegistry.describeJob(job));
+  });
+
+  router.post('/jobs/:name/resume', async (req, res) => {
+    const job = await jobRegistry.resumeJob(req.params.name);
+    res.json(jobRegistry.describeJob(job));
+  });
+
+  router.get('/email-templates', (req, res) => {
+    res.json(listTemplates());
+  });
+
+  // Render a template with sample data without sending (?locale=en, ?format=json)
+  router.get('/email-templates/:name/preview', (req, res) => {
+    const preview = previewEmail(req.params.name, req.query.locale);
+    if (req.query.format === 'json') {
+      res.json({ name: req.params.name, ...preview });
+      return;
+    }
+    res.type('html').send(preview.html);
+  });
+
+  return router;
+}
+
+/**
+ * Build the public router (health endpoints for the uptime monitor and Prometheus metrics, no API key)
+ * @returns {express.Router}
+ */
+function createPublicRouter() {
+  const router = express.Router();
+
+  // 503 when a critical check fails
+  router.get('/health', (req, res) => {
+    const health = getLiveness();
+    res.status(health.status === 'fail' ? 503 : 200).json(health);
+  });
+
+  router.get('/ready', async (req, res) => {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+  });
+
+  // Prometheus scrape endpoint
+  router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  return router;
+}
+
+/**
+ * Create the admin HTTP application
+ * @param {string} [apiKey] - API key required in the X-API-KEY header; without it /api is disabled
+ *   and only the public endpoints are served
+ * @returns {express.Express}
+ */
+export function createAdminApp(apiKey) {
+  const app = express();
+  app.use(express.json());
+
+  app.use(createPublicRouter());
+
+  if (apiKey) {
+    app.use('/api', requireApiKey(apiKey), createAdminRouter());
+  } else {
+    app.use('/api', (req, res) => {
+      res.status(503).json({ error: 'Admin API is disabled - ADMIN_API_KEY is not set' });
+    });
+  }
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Error handler (express 5 forwards rejected promises from async handlers)
+  app.use((err, req, res, next) => {
+    const status = err.status || 500;
+    if (status >= 500) {
+      console.error(`Admin API error on ${req.method} ${req.path}:`, err);
+    }
+    res.status(status).json({ error: err.message || 'Internal server error' });
+  });
+
+  return app;
+}
+
+/**
+ * Start the admin HTTP server
+ * Health endpoints are served even without ADMIN_API_KEY, only /api requires it
+ * @returns {Promise<http.Server>}
+ */
+export async function startAdminApi() {
+  const apiKey = process.env.ADMIN_API_KEY;
+  if (!apiKey) {
+    console.warn('ADMIN_API_KEY environment variable is not set - /api endpoints are disabled');
+  }
+
+  const port = parseInt(process.env.ADMIN_API_PORT || DEFAULT_PORT);
+  const app = createAdminApp(apiKey);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      console.log(`Admin API listening on port ${port}`);
+      resolve(server);
+    });
+  });
+}
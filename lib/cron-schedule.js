@@ -0,0 +1,186 @@
+// node-cron 3 has no API for upcoming executions, so the expression is expanded here and
+// searched field by field (day, then hour, minute and second) - only cron.validate is used
+import cron from 'node-cron';
+import { getTimezoneOffsetMs } from './plant-date.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 5 * 366; // Long enough to reach the next 29 February
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// [min, max] of every field in a 6-field expression
+const FIELD_RANGES = [
+  [0, 59], // second
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7], // day of week (0 and 7 are Sunday)
+];
+
+// Next run per expression and timezone, valid until that run time passes
+const nextRunCache = new Map();
+
+/**
+ * Replace month and weekday names (full or short, any case) with numbers
+ * @param {string} field - Field value
+ * @param {string[]} names - Short names in field order
+ * @param {number} offset - Number of the first name
+ */
+function replaceNames(field, names, offset) {
+  return field.replace(/[a-z]+/gi, (word) => {
+    const index = names.indexOf(word.slice(0, 3).toLowerCase());
+    return index === -1 ? word : String(index + offset);
+  });
+}
+
+/**
+ * Expand a field (lists, ranges, steps, *) to the sorted values it matches
+ * @param {string} field - Field value
+ * @param {number[]} range - [min, max] of the field
+ * @returns {number[]}
+ */
+function expandField(field, [min, max]) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart ? parseInt(stepPart) : 1;
+    let [start, end] = [min, max];
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-').map(Number);
+      start = from;
+      end = to ?? (stepPart ? max : from);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a validated cron expression into the values of each field
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ */
+function parseExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  fields[4] = replaceNames(fields[4], MONTH_NAMES, 1);
+  fields[5] = replaceNames(fields[5], WEEKDAY_NAMES, 0);
+
+  const [seconds, minutes, hours, days, months, weekDays] = fields.map((field, index) =>
+    expandField(field, FIELD_RANGES[index])
+  );
+  return {
+    seconds,
+    minutes,
+    hours,
+    days: new Set(days),
+    months: new Set(months),
+    weekDays: new Set(weekDays.map((day) => day % 7)),
+  };
+}
+
+/**
+ * Moments of a wall-clock time in a timezone, earliest first
+ * None in a DST gap, two in the hour repeated when clocks go back
+ * @param {number} localAsUtc - Wall-clock time expressed as if it were UTC
+ * @param {string} timezone - Timezone name
+ * @returns {Date[]}
+ */
+function fromLocalTime(localAsUtc, timezone) {
+  // Offsets before and after a possible DST change around this time
+  const offsets = new Set([
+    getTimezoneOffsetMs(new Date(localAsUtc - DAY_MS / 2), timezone),
+    getTimezoneOffsetMs(new Date(localAsUtc + DAY_MS / 2), timezone),
+  ]);
+  return [...offsets]
+    .map((offset) => new Date(localAsUtc - offset))
+    .filter(
+      (moment) => moment.getTime() + getTimezoneOffsetMs(moment, timezone) === localAsUtc
+    )
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Search the next run day by day, trying only the hours, minutes and seconds of the expression
+ * @param {Object} fields - Parsed expression
+ * @param {string} timezone - Timezone name
+ * @param {Date} from - First execution after this time
+ * @returns {Date|null}
+ */
+function findNextRun(fields, timezone, from) {
+  const fromLocal = from.getTime() + getTimezoneOffsetMs(from, timezone);
+  const firstDay = Math.floor(fromLocal / DAY_MS) * DAY_MS;
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const day = new Date(firstDay + i * DAY_MS);
+    if (
+      !fields.months.has(day.getUTCMonth() + 1) ||
+      !fields.days.has(day.getUTCDate()) ||
+      !fields.weekDays.has(day.getUTCDay())
+    ) {
+      continue;
+    }
+
+    for (const hour of fields.hours) {
+      // In the hour repeated when clocks go back, a later minute of its first pass comes before
+      // an earlier minute of its second pass - a second-pass match waits until the hour ends
+      let secondPassRun = null;
+
+      for (const minute of fields.minutes) {
+        // Whole minute already passed on the first day
+        const minuteStart = day.getTime() + hour * 60 * 60 * 1000 + minute * 60 * 1000;
+        if (minuteStart + 59 * 1000 < fromLocal - 60 * 60 * 1000) continue;
+
+        for (const second of fields.seconds) {
+          const moments = fromLocalTime(minuteStart + second * 1000, timezone);
+          const index = moments.findIndex((moment) => moment > from);
+          if (index === -1) continue;
+
+          if (index === 0 || moments.length === 1) {
+            return secondPassRun && secondPassRun < moments[index] ? secondPassRun : moments[index];
+          }
+          if (!secondPassRun) {
+            secondPassRun = moments[index];
+          }
+        }
+      }
+
+      if (secondPassRun) {
+        return secondPassRun;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calculate the next time a cron expression fires
+ * Day of month and day of week must both match, like in node-cron
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {string} timezone - Timezone the expression is evaluated in
+ * @param {Date} from - Calculate the first execution after this time
+ * @returns {Date|null} Next execution time or null if none within five years
+ */
+export function getNextRunTime(expression, timezone, from = new Date()) {
+  if (!cron.validate(expression)) {
+    return null;
+  }
+
+  const key = `${expression}|${timezone}`;
+  const cached = nextRunCache.get(key);
+  if (cached && cached.from <= from && cached.nextRun > from) {
+    return cached.nextRun;
+  }
+
+  const nextRun = findNextRun(parseExpression(expression), timezone, from);
+  if (nextRun) {
+    nextRunCache.set(key, { from, nextRun });
+  }
+  return nextRun;
+}
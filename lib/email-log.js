@@ -0,0 +1,99 @@
+import dotenv from 'dotenv';
+import { dbc } from './mongo.js';
+import { getPlantDayKey } from './plant-date.js';
+
+dotenv.config();
+
+export const EMAIL_LOG_COLLECTION = 'cron_email_log';
+
+// Email log entries older than this are removed by the MongoDB TTL monitor
+const RETENTION_DAYS = parseInt(process.env.EMAIL_LOG_RETENTION_DAYS || '365');
+
+let indexesEnsured = false;
+
+/**
+ * Get email log collection, creating its indexes on first use
+ * @returns {Promise<Collection>}
+ */
+async function getEmailLogCollection() {
+  const coll = await dbc(EMAIL_LOG_COLLECTION);
+
+  if (!indexesEnsured) {
+    try {
+      await coll.createIndex(
+        { sentAt: 1 },
+        { name: 'sentAt_ttl', expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+      );
+      await coll.createIndex({ dedupKey: 1, day: 1 });
+      await coll.createIndex({ entityId: 1 });
+      indexesEnsured = true;
+    } catch (error) {
+      console.error(`Failed to create ${EMAIL_LOG_COLLECTION} indexes:`, error.message);
+    }
+  }
+
+  return coll;
+}
+
+/**
+ * Build a deduplication key from its parts (e.g. template, entity id, recipient)
+ * @param {...*} parts - Key parts, empty parts are ignored
+ * @returns {string}
+ */
+export function buildDedupKey(...parts) {
+  return parts
+    .filter((part) => part !== undefined && part !== null && part !== '')
+    .map((part) => String(part).toLowerCase())
+    .join(':');
+}
+
+/**
+ * Record an outgoing email - never throws, a logging failure must not stop sending
+ * @param {Object} entry - Log entry
+ * @param {string} entry.module - Sending module
+ * @param {string} [entry.template] - Notification type / template name
+ * @param {string[]} entry.recipients - Recipient addresses
+ * @param {string} entry.subject - Subject line
+ * @param {*} [entry.entityId] - Related entity id (deviation, overtime request...)
+ * @param {string} [entry.dedupKey] - Deduplication key
+ * @param {string} entry.status - 'sent', 'failed' or 'dry-run'
+ * @param {number} [entry.attempts] - Number of send attempts
+ * @param {string} [entry.error] - Error message for failed sends
+ */
+export async function logEmail(entry) {
+  const sentAt = new Date();
+
+  try {
+    const coll = await getEmailLogCollection();
+    await coll.insertOne({
+      module: entry.module,
+      template: entry.template || null,
+      recipients: entry.recipients,
+      subject: entry.subject,
+      entityId: entry.entityId ?? null,
+      dedupKey: entry.dedupKey || null,
+      status: entry.status,
+      attempts: entry.attempts,
+      error: entry.error || null,
+      sentAt,
+      day: getPlantDayKey(sentAt),
+    });
+  } catch (error) {
+    console.error(`Failed to write ${EMAIL_LOG_COLLECTION} entry:`, error.message);
+  }
+}
+
+/**
+ * Check whether an email with the given dedup key was already sent today (plant-local day)
+ * Dry-run and failed sends do not count
+ * @param {string} dedupKey - Deduplication key
+ * @returns {Promise<boolean>}
+ */
+export async function wasEmailSentToday(dedupKey) {
+  const coll = await getEmailLogCollection();
+  const existing = await coll.findOne(
+    { dedupKey, day: getPlantDayKey(), status: 'sent' },
+    { projection: { _id: 1 } }
+  );
+  return existing !== null;
+}
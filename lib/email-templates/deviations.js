@@ -0,0 +1,214 @@
+import { formatDate, plural } from './format.js';
+import { button, COLORS, panel, table } from './layout.js';
+
+const strings = {
+  pl: {
+    roles: {
+      'group-leader': 'Group Leader',
+      'quality-manager': 'Kierownik Jakości',
+      'production-manager': 'Kierownik Produkcji',
+      'plant-manager': 'Dyrektor Zakładu',
+    },
+    areas: { coating: 'powlekanie' },
+    title: 'Odchylenia oczekujące na zatwierdzenie',
+    subject: (count) =>
+      `Odchylenia oczekujące na zatwierdzenie - ${count} ${plural(
+        count,
+        ['odchylenie', 'odchylenia', 'odchyleń'],
+        'pl'
+      )}`,
+    intro: (count) =>
+      `Następujące odchylenia (${count}) oczekują na zatwierdzenie. Lista jest posortowana od najstarszego.`,
+    deviation: 'Odchylenie',
+    area: 'Obszar',
+    age: 'Oczekuje',
+    role: 'Rola',
+    reason: 'Powód powiadomienia',
+    open: 'Otwórz',
+    ageValue: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} ${plural(days, ['dzień', 'dni', 'dni'], 'pl')}` : `${hours}h`;
+    },
+    reasons: {
+      approver: 'zatwierdzenie w Twojej roli',
+      vacancy: 'wakat na stanowisku',
+      'previous-approved': 'zatwierdzone przez poprzednie stanowiska',
+      'escalation-superior': 'eskalacja - przełożony',
+      'escalation-plant-manager': 'eskalacja - Dyrektor Zakładu',
+    },
+    level: (level) => `poziom ${level}`,
+    onBehalfOf: (name) => `zastępstwo za: ${name}`,
+    deputyNote:
+      'Część odchyleń trafiła do Ciebie jako zastępcy osoby nieobecnej - osoba zastępowana jest podana przy odchyleniu.',
+    button: 'Przejdź do odchyleń',
+
+    expiredTitle: 'Odchylenie wygasło bez zatwierdzenia',
+    expiredSubject: (id) => `Odchylenie ${id} wygasło bez zatwierdzenia`,
+    expired: (id, date) =>
+      `Odchylenie <strong>${id}</strong> nie zostało zatwierdzone przed końcem okresu obowiązywania (<strong>${date}</strong>) i zostało automatycznie odrzucone.`,
+    expiredHint: 'Jeśli odchylenie jest nadal potrzebne, utwórz nowe z aktualnym okresem obowiązywania.',
+    reasonLabel: 'Powód',
+    endingTitle: 'Odchylenie wkrótce się kończy',
+    endingSubject: (id, days) =>
+      days === 0
+        ? `Odchylenie ${id} kończy się dzisiaj`
+        : `Odchylenie ${id} kończy się za ${days} ${plural(days, ['dzień', 'dni', 'dni'], 'pl')}`,
+    ending: (id, date) =>
+      `Okres obowiązywania odchylenia <strong>${id}</strong> kończy się <strong>${date}</strong>.`,
+    endingHint: 'Jeśli odchylenie jest nadal potrzebne, przedłuż je przed końcem okresu obowiązywania.',
+    openDeviation: 'Otwórz odchylenie',
+  },
+  en: {
+    roles: {
+      'group-leader': 'Group Leader',
+      'quality-manager': 'Quality Manager',
+      'production-manager': 'Production Manager',
+      'plant-manager': 'Plant Manager',
+    },
+    areas: { coating: 'coating' },
+    title: 'Deviations awaiting approval',
+    subject: (count) =>
+      `Deviations awaiting approval - ${count} ${plural(count, ['deviation', null, 'deviations'], 'en')}`,
+    intro: (count) =>
+      `The following deviations (${count}) are awaiting approval. The list is sorted from the oldest.`,
+    deviation: 'Deviation',
+    area: 'Area',
+    age: 'Waiting',
+    role: 'Role',
+    reason: 'Reason',
+    open: 'Open',
+    ageValue: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} days` : `${hours}h`;
+    },
+    reasons: {
+      approver: 'approval in your role',
+      vacancy: 'vacant position',
+      'previous-approved': 'approved by the previous roles',
+      'escalation-superior': 'escalation - superior',
+      'escalation-plant-manager': 'escalation - Plant Manager',
+    },
+    level: (level) => `level ${level}`,
+    onBehalfOf: (name) => `deputy for: ${name}`,
+    deputyNote:
+      'Some deviations were routed to you as the deputy of an absent approver - the absent person is shown next to the deviation.',
+    button: 'Open deviations',
+
+    expiredTitle: 'Deviation expired without approval',
+    expiredSubject: (id) => `Deviation ${id} expired without approval`,
+    expired: (id, date) =>
+      `Deviation <strong>${id}</strong> was not approved before the end of its validity period (<strong>${date}</strong>) and has been rejected automatically.`,
+    expiredHint: 'If the deviation is still needed, create a new one with a current validity period.',
+    reasonLabel: 'Reason',
+    endingTitle: 'Deviation ending soon',
+    endingSubject: (id, days) =>
+      days === 0
+        ? `Deviation ${id} ends today`
+        : `Deviation ${id} ends in ${days} ${plural(days, ['day', null, 'days'], 'en')}`,
+    ending: (id, date) =>
+      `The validity period of deviation <strong>${id}</strong> ends on <strong>${date}</strong>.`,
+    endingHint: 'If the deviation is still needed, extend it before the end of its validity period.',
+    openDeviation: 'Open deviation',
+  },
+};
+
+// Role names from the approval workflow take precedence over the built-in ones
+function roleName(item, t) {
+  return item.roleName || t.roles[item.role] || item.role;
+}
+
+function areaName(area, t) {
+  return area ? t.areas[area] || String(area).toUpperCase() : '-';
+}
+
+export default {
+  'deviation-digest': {
+    description:
+      'Daily digest of deviations waiting for approval - one email per approver, superior or plant manager',
+    strings,
+    sample: {
+      deviationsUrl: 'https://example.com/deviations',
+      items: [
+        {
+          internalId: '118/2025',
+          area: 'coating',
+          ageHours: 190,
+          deviationUrl: 'https://example.com/deviations/000000000000000000000001',
+          role: 'quality-manager',
+          reason: 'escalation-plant-manager',
+          level: 3,
+        },
+        {
+          internalId: '123/2025',
+          area: 'eol',
+          ageHours: 80,
+          deviationUrl: 'https://example.com/deviations/000000000000000000000002',
+          role: 'group-leader',
+          reason: 'approver',
+          level: 1,
+          onBehalfOf: 'Jan Kowalski',
+        },
+      ],
+    },
+    subject: (data, t) => t.subject(data.items.length),
+    title: (data, t) => t.title,
+    content: (data, t) => `
+      <p>${t.intro(data.items.length)}</p>
+      ${data.items.some((item) => item.onBehalfOf) ? `<p>${t.deputyNote}</p>` : ''}
+      ${table(
+        [t.deviation, t.area, t.age, t.role, t.reason, ''],
+        data.items.map((item) => [
+          { value: item.internalId, style: 'font-weight: bold;' },
+          areaName(item.area, t),
+          {
+            value: t.ageValue(item.ageHours),
+            style: item.level > 1 ? `color: ${COLORS.danger}; font-weight: bold;` : '',
+          },
+          roleName(item, t),
+          `${t.reasons[item.reason] || item.reason}${item.level > 1 ? ` (${t.level(item.level)})` : ''}${
+            item.onBehalfOf ? `<br><em>${t.onBehalfOf(item.onBehalfOf)}</em>` : ''
+          }`,
+          `<a href="${item.deviationUrl}" style="color: ${COLORS.link};">${t.open}</a>`,
+        ])
+      )}
+      ${button(data.deviationsUrl, t.button)}`,
+  },
+
+  'deviation-expired': {
+    description:
+      'Deviation still in approval after the end of its validity period was rejected - sent to the owner',
+    strings,
+    sample: {
+      internalId: '118/2025',
+      timePeriodTo: new Date('2025-06-30T00:00:00Z'),
+      reason: 'Nie zatwierdzono przed końcem okresu obowiązywania odchylenia',
+      deviationUrl: 'https://example.com/deviations/000000000000000000000001',
+    },
+    titleColor: COLORS.danger,
+    subject: (data, t) => t.expiredSubject(data.internalId),
+    title: (data, t) => t.expiredTitle,
+    content: (data, t, locale) => `
+      <p>${t.expired(data.internalId, formatDate(data.timePeriodTo, locale))}</p>
+      ${panel(`<strong>${t.reasonLabel}:</strong> ${data.reason}`, 'danger')}
+      <p>${t.expiredHint}</p>
+      ${button(data.deviationUrl, t.openDeviation)}`,
+  },
+
+  'deviation-ending-soon': {
+    description: 'Deviation in progress ends within the notice period - sent to the owner',
+    strings,
+    sample: {
+      internalId: '123/2025',
+      timePeriodTo: new Date('2025-07-03T00:00:00Z'),
+      daysLeft: 3,
+      deviationUrl: 'https://example.com/deviations/000000000000000000000002',
+    },
+    titleColor: COLORS.warning,
+    subject: (data, t) => t.endingSubject(data.internalId, data.daysLeft),
+    title: (data, t) => t.endingTitle,
+    content: (data, t, locale) => `
+      <p>${t.ending(data.internalId, formatDate(data.timePeriodTo, locale))}</p>
+      <p>${t.endingHint}</p>
+      ${button(data.deviationUrl, t.openDeviation)}`,
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * HTML escaping of template data
+ * Template data comes from users, Excel files and error messages, so every string is
+ * escaped before it reaches a template; template texts and layout markup are trusted
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for use in HTML text and quoted attribute values
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep-escape all strings (including object keys) in template data
+ * Numbers, booleans, dates and ObjectIds are returned unchanged
+ * @param {*} value - Template data
+ * @returns {*} Copy with escaped strings
+ */
+export function escapeData(value) {
+  if (typeof value === 'string') {
+    return escapeHtml(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(escapeData);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [escapeHtml(key), escapeData(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Make a value safe for a subject line (plain text, single line)
+ * @param {string} subject - Rendered subject
+ * @returns {string}
+ */
+export function sanitizeSubject(subject) {
+  return String(subject).replace(/[\r\n]+/g, ' ').trim();
+}
@@ -0,0 +1,51 @@
+/**
+ * Locale-aware formatting helpers for email templates (plant time zone)
+ */
+
+const INTL_LOCALES = {
+  pl: 'pl-PL',
+  en: 'en-GB',
+};
+
+const TIME_ZONE = 'Europe/Warsaw';
+
+/**
+ * Format a date without time, e.g. 21.03.2025 (pl) or 21/03/2025 (en)
+ * @param {Date|string} date - Date to format
+ * @param {string} locale - Template locale
+ */
+export function formatDate(date, locale) {
+  return new Date(date).toLocaleDateString(INTL_LOCALES[locale] || INTL_LOCALES.pl, {
+    timeZone: TIME_ZONE,
+  });
+}
+
+/**
+ * Format a date with time
+ * @param {Date|string} date - Date to format
+ * @param {string} locale - Template locale
+ */
+export function formatDateTime(date, locale) {
+  return new Date(date).toLocaleString(INTL_LOCALES[locale] || INTL_LOCALES.pl, {
+    timeZone: TIME_ZONE,
+  });
+}
+
+/**
+ * Pick the plural form for a count
+ * Polish has three forms: 1 zlecenie, 2-4 zlecenia, 5+ zleceń (12-14 use the last form)
+ * @param {number} count - Item count
+ * @param {string[]} forms - [one, few, many] (English uses only one and many)
+ * @param {string} locale - Template locale
+ */
+export function plural(count, [one, few, many], locale) {
+  if (count === 1) return one;
+  if (locale !== 'pl') return many;
+
+  const lastDigit = count % 10;
+  const lastTwoDigits = count % 100;
+  if (lastDigit >= 2 && lastDigit <= 4 && (lastTwoDigits < 12 || lastTwoDigits > 14)) {
+    return few;
+  }
+  return many;
+}
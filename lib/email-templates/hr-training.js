@@ -0,0 +1,553 @@
+import { formatDate, formatDateTime, plural } from './format.js';
+import { COLORS, panel, table } from './layout.js';
+
+const TRAINING_PLAN_PATH = 'W:\\HrManagement\\1_Szkolenia\\2_PHR-7.2.01-01_PLAN SZKOLEŃ';
+
+const strings = {
+  pl: {
+    reminderTitle: 'Ocena efektywności szkoleń',
+    reminderSubject: (count) =>
+      `Przypomnienie HR: Ocena efektywności szkoleń (${count} ${plural(
+        count,
+        ['szkolenie', 'szkolenia', 'szkoleń'],
+        'pl'
+      )})`,
+    greeting: (firstName) => `Dzień dobry${firstName ? ` ${firstName}` : ''},`,
+    overdue: (count) =>
+      `Minął termin wymaganego dokonania oceny efektywności ${
+        count === 1 ? 'szkolenia zrealizowanego' : `${count} szkoleń zrealizowanych`
+      } w Twoim zespole:`,
+    warningSubject: (count) =>
+      `Przypomnienie HR: Zbliża się termin oceny efektywności szkoleń (${count} ${plural(
+        count,
+        ['szkolenie', 'szkolenia', 'szkoleń'],
+        'pl'
+      )})`,
+    upcoming: (count) =>
+      `Zbliża się termin dokonania oceny efektywności ${
+        count === 1 ? 'szkolenia zrealizowanego' : `${count} szkoleń zrealizowanych`
+      } w Twoim zespole:`,
+    training: 'Szkolenie',
+    trainee: 'Uczestnik',
+    trainingDate: 'Data szkolenia',
+    evaluationDeadline: 'Termin oceny',
+    daysOverdue: 'Dni po terminie',
+    reminderNumber: 'Przypomnienie',
+    remindersSent: 'Wysłane przypomnienia',
+    instructions: (path) =>
+      `Proszę o pilne dokonanie oceny efektywności tych szkoleń w dostępnym pliku: <strong>${path}</strong>.`,
+    why: 'Pomoże nam to w przyszłości w podjęciu decyzji dotyczących szkoleń w podobnych obszarach lub tematyce.',
+    contact:
+      'W razie pytań lub wątpliwości, skontaktuj się z działem HR.<br/>Z góry bardzo dziękujemy za rzetelność i terminowość.',
+    signature: 'Z poważaniem,<br/>Dział HR',
+
+    summaryTitle: 'Podsumowanie powiadomień o ocenie szkoleń HR',
+    processedRows: 'Przetworzone wiersze',
+    notificationsSent: 'Wysłane powiadomienia (przełożeni)',
+    warningsSent: 'Ostrzeżenia przed terminem (szkolenia)',
+    escalated: 'Zgłoszone do HR po terminie (szkolenia)',
+    upcomingCount: 'Przed terminem',
+    alreadySentToday: 'Pominięte (powiadomienie wysłane już dzisiaj)',
+    supervisors: (count, trainings) =>
+      `Przełożeni z zaległymi ocenami: ${count} (szkolenia: ${trainings})`,
+    supervisor: 'Przełożony',
+    email: 'Email',
+    trainings: 'Po terminie',
+    status: 'Status',
+    statuses: {
+      sent: 'wysłano',
+      'already-sent': 'wysłano już dzisiaj',
+      failed: 'błąd wysyłki',
+    },
+    invalidSupervisors: 'Błędy (brakujące/nieprawidłowe dane przełożonych)',
+    row: 'Wiersz',
+    empty: '(puste)',
+    reasons: {
+      'missing-supervisor': 'Brak lub nieprawidłowe dane przełożonego',
+    },
+    unresolvedSupervisors: (rows) =>
+      `Nierozpoznani przełożeni (pominięte wiersze: ${rows})`,
+    unresolvedStatus: {
+      'not-found': 'brak w katalogu użytkowników',
+      ambiguous: 'kilku użytkowników o tym nazwisku',
+      guessed: 'brak w katalogu użytkowników, wysłano na adres utworzony z nazwiska',
+    },
+    candidates: 'możliwe adresy',
+    rows: 'wiersze',
+    skippedEvaluations: 'Wykonane oceny bez aktualizacji daty',
+    otherErrors: 'Inne błędy powiadomień',
+    duration: 'Czas trwania',
+    runPeriod: 'Uruchomienie skryptu',
+
+    escalationTitle: 'Zaległe oceny efektywności szkoleń',
+    escalation: (days) =>
+      `Poniższe oceny efektywności szkoleń nie zostały wykonane mimo upływu co najmniej ${days} ${plural(
+        days,
+        ['dzień', 'dni', 'dni'],
+        'pl'
+      )} od terminu i codziennych przypomnień wysyłanych do przełożonych:`,
+
+    fileMissingTitle: 'Brak pliku do oceny szkoleń HR',
+    fileMissing: 'Nie odnaleziono pliku z oceną szkoleń HR pod wskazaną ścieżką:',
+
+    file: 'Plik',
+    fileModified: (date, age) => `ostatnia modyfikacja: ${date} (${age} temu)`,
+    age: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} ${plural(days, ['dzień', 'dni', 'dni'], 'pl')}` : `${hours} h`;
+    },
+    fileStaleTitle: 'Nieaktualny plik do oceny szkoleń HR',
+    fileStale: (maxDays) =>
+      `Plik z oceną szkoleń HR nie był aktualizowany dłużej niż ${maxDays} ${plural(
+        maxDays,
+        ['dzień', 'dni', 'dni'],
+        'pl'
+      )}. Przypomnienia nie zostały wysłane, aby nie przekazywać nieaktualnych danych.`,
+    fileStaleAction: 'Zaktualizuj plik - przypomnienia zostaną wysłane przy następnym uruchomieniu.',
+
+    schemaMismatchTitle: 'Nieprawidłowy układ pliku do oceny szkoleń HR',
+    schemaMismatch: (sheet) =>
+      `W arkuszu <strong>${sheet}</strong> nie odnaleziono wymaganych kolumn. Przypomnienia nie zostały wysłane.`,
+    missingColumns: 'Brakujące kolumny (akceptowane nagłówki)',
+    foundHeaders: 'Nagłówki odnalezione w pliku',
+    noHeaders: 'Nie odnaleziono wiersza nagłówków.',
+    schemaMismatchAction:
+      'Przywróć nagłówki kolumn lub dodaj nowe nazwy w konfiguracji HR_TRAINING_COLUMN_ALIASES.',
+    columns: {
+      training: 'Nazwa szkolenia',
+      trainee: 'Uczestnik',
+      supervisor: 'Przełożony',
+      deadline: 'Termin oceny',
+      evaluationResult: 'Ocena efektywności',
+    },
+  },
+  en: {
+    reminderTitle: 'Training effectiveness evaluation',
+    reminderSubject: (count) =>
+      `HR reminder: Training effectiveness evaluation (${count} ${plural(
+        count,
+        ['training', null, 'trainings'],
+        'en'
+      )})`,
+    greeting: (firstName) => `Hello${firstName ? ` ${firstName}` : ''},`,
+    overdue: (count) =>
+      `The deadline for evaluating the effectiveness of ${
+        count === 1 ? 'a training' : `${count} trainings`
+      } completed in your team has passed:`,
+    warningSubject: (count) =>
+      `HR reminder: Training effectiveness evaluation due soon (${count} ${plural(
+        count,
+        ['training', null, 'trainings'],
+        'en'
+      )})`,
+    upcoming: (count) =>
+      `The deadline for evaluating the effectiveness of ${
+        count === 1 ? 'a training' : `${count} trainings`
+      } completed in your team is approaching:`,
+    training: 'Training',
+    trainee: 'Trainee',
+    trainingDate: 'Training date',
+    evaluationDeadline: 'Evaluation deadline',
+    daysOverdue: 'Days overdue',
+    reminderNumber: 'Reminder',
+    remindersSent: 'Reminders sent',
+    instructions: (path) =>
+      `Please evaluate the effectiveness of these trainings in the file: <strong>${path}</strong>.`,
+    why: 'This helps us decide about future trainings in similar areas or topics.',
+    contact:
+      'If you have any questions, please contact the HR department.<br/>Thank you in advance for your diligence and timeliness.',
+    signature: 'Kind regards,<br/>HR Department',
+
+    summaryTitle: 'HR training evaluation notifications summary',
+    processedRows: 'Processed rows',
+    notificationsSent: 'Notifications sent (supervisors)',
+    warningsSent: 'Warnings before the deadline (trainings)',
+    escalated: 'Reported to HR as overdue (trainings)',
+    upcomingCount: 'Due soon',
+    alreadySentToday: 'Skipped (already notified today)',
+    supervisors: (count, trainings) =>
+      `Supervisors with overdue evaluations: ${count} (trainings: ${trainings})`,
+    supervisor: 'Supervisor',
+    email: 'Email',
+    trainings: 'Overdue',
+    status: 'Status',
+    statuses: {
+      sent: 'sent',
+      'already-sent': 'already sent today',
+      failed: 'sending failed',
+    },
+    invalidSupervisors: 'Errors (missing/invalid supervisor data)',
+    row: 'Row',
+    empty: '(empty)',
+    reasons: {
+      'missing-supervisor': 'Missing or invalid supervisor data',
+    },
+    unresolvedSupervisors: (rows) => `Unresolved supervisors (rows skipped: ${rows})`,
+    unresolvedStatus: {
+      'not-found': 'not in the user directory',
+      ambiguous: 'several users with this name',
+      guessed: 'not in the user directory, sent to an address built from the name',
+    },
+    candidates: 'possible addresses',
+    rows: 'rows',
+    skippedEvaluations: 'Completed evaluations without date update',
+    otherErrors: 'Other notification errors',
+    duration: 'Duration',
+    runPeriod: 'Script run',
+
+    escalationTitle: 'Overdue training effectiveness evaluations',
+    escalation: (days) =>
+      `The following training effectiveness evaluations are at least ${days} ${plural(
+        days,
+        ['day', null, 'days'],
+        'en'
+      )} overdue, despite daily reminders sent to the supervisors:`,
+
+    fileMissingTitle: 'HR training evaluation file missing',
+    fileMissing: 'The HR training evaluation file was not found at:',
+
+    file: 'File',
+    fileModified: (date, age) => `last modified: ${date} (${age} ago)`,
+    age: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} days` : `${hours} h`;
+    },
+    fileStaleTitle: 'Outdated HR training evaluation file',
+    fileStale: (maxDays) =>
+      `The HR training evaluation file has not been updated for more than ${maxDays} ${plural(
+        maxDays,
+        ['day', null, 'days'],
+        'en'
+      )}. No reminders were sent to avoid passing on outdated data.`,
+    fileStaleAction: 'Update the file - reminders will be sent on the next run.',
+
+    schemaMismatchTitle: 'Invalid HR training evaluation file layout',
+    schemaMismatch: (sheet) =>
+      `Required columns were not found in sheet <strong>${sheet}</strong>. No reminders were sent.`,
+    missingColumns: 'Missing columns (accepted headers)',
+    foundHeaders: 'Headers found in the file',
+    noHeaders: 'No header row was found.',
+    schemaMismatchAction:
+      'Restore the column headers or add the new names to the HR_TRAINING_COLUMN_ALIASES setting.',
+    columns: {
+      training: 'Training name',
+      trainee: 'Trainee',
+      supervisor: 'Supervisor',
+      deadline: 'Evaluation deadline',
+      evaluationResult: 'Evaluation result',
+    },
+  },
+};
+
+const FILE_SAMPLE = {
+  path: '\\\\fileserver\\HrManagement\\1_Szkolenia\\plan-szkolen.xlsx',
+  modifiedAt: '2025-03-20T15:42:00Z',
+  ageHours: 15,
+};
+
+/**
+ * File path with its modification time and age
+ */
+function fileInfo(file, t, locale) {
+  return `<p><strong>${t.file}:</strong> ${file.path}<br/>${t.fileModified(
+    formatDateTime(file.modifiedAt, locale),
+    t.age(file.ageHours)
+  )}</p>`;
+}
+
+export default {
+  'hr-training-evaluation-reminder': {
+    description:
+      'Trainings of the team with a passed or approaching effectiveness evaluation deadline - one email per supervisor',
+    strings,
+    sample: {
+      supervisorName: 'Kowalski Jan',
+      trainings: [
+        {
+          trainingName: 'Szkolenie BHP',
+          traineeName: 'Nowak Anna',
+          trainingDate: '2025-02-10',
+          evaluationDeadline: '2025-03-12',
+          daysOverdue: 9,
+          reminderCount: 3,
+        },
+        {
+          trainingName: 'Obsługa wózków widłowych',
+          traineeName: 'Wiśniewski Piotr',
+          trainingDate: null,
+          evaluationDeadline: '2025-03-21',
+          daysOverdue: 0,
+          reminderCount: 0,
+        },
+      ],
+      upcomingTrainings: [
+        {
+          trainingName: 'Szkolenie stanowiskowe',
+          traineeName: 'Zielińska Maria',
+          trainingDate: '2025-02-20',
+          evaluationDeadline: '2025-03-24',
+        },
+      ],
+    },
+    subject: (data, t) =>
+      data.trainings.length > 0
+        ? t.reminderSubject(data.trainings.length)
+        : t.warningSubject(data.upcomingTrainings?.length || 0),
+    title: (data, t) => t.reminderTitle,
+    content: (data, t, locale) => {
+      // Supervisor names are stored as "Surname Firstname"
+      const firstName = data.supervisorName
+        ? data.supervisorName.split(' ')[1] || data.supervisorName
+        : '';
+
+      return `
+      <p>${t.greeting(firstName)}</p>
+      ${
+        data.trainings.length > 0
+          ? `<p>${t.overdue(data.trainings.length)}</p>
+      ${table(
+        [
+          t.training,
+          t.trainee,
+          t.trainingDate,
+          t.evaluationDeadline,
+          { label: t.daysOverdue, align: 'right' },
+          { label: t.reminderNumber, align: 'right' },
+        ],
+        data.trainings.map((training) => [
+          training.trainingName,
+          training.traineeName,
+          training.trainingDate ? formatDate(training.trainingDate, locale) : '-',
+          formatDate(training.evaluationDeadline, locale),
+          { value: training.daysOverdue ?? '-', align: 'right' },
+          { value: (training.reminderCount || 0) + 1, align: 'right' },
+        ])
+      )}`
+          : ''
+      }
+      ${
+        data.upcomingTrainings?.length > 0
+          ? `<p>${t.upcoming(data.upcomingTrainings.length)}</p>
+      ${table(
+        [t.training, t.trainee, t.trainingDate, t.evaluationDeadline],
+        data.upcomingTrainings.map((training) => [
+          training.trainingName,
+          training.traineeName,
+          training.trainingDate ? formatDate(training.trainingDate, locale) : '-',
+          formatDate(training.evaluationDeadline, locale),
+        ])
+      )}`
+          : ''
+      }
+      <p>${t.instructions(TRAINING_PLAN_PATH)}</p>
+      <p>${t.why}</p>
+      <p>${t.contact}</p>
+      <p style="margin-top:2em;">${t.signature}</p>`;
+    },
+  },
+
+  'hr-training-summary': {
+    description: 'Summary of an HR training evaluation run - sent to HR',
+    strings,
+    sample: {
+      processedRows: 120,
+      notificationsSent: 2,
+      alreadySentToday: 1,
+      supervisors: [
+        { name: 'Kowalski Jan', email: 'jan.kowalski@bruss-group.com', trainings: 12, upcoming: 2, status: 'sent' },
+        { name: 'Nowak Ewa', email: 'ewa.nowak@bruss-group.com', trainings: 3, upcoming: 0, status: 'already-sent' },
+        { name: 'Zieliński Marek', email: 'marek.zielinski@bruss-group.com', trainings: 0, upcoming: 1, status: 'failed' },
+      ],
+      overdueTrainings: 15,
+      warningsSent: 2,
+      escalated: 4,
+      invalidSupervisorRows: [{ row: 15, nameValue: null, reason: 'missing-supervisor' }],
+      unresolvedSupervisors: [
+        {
+          name: 'Nowak Anna',
+          status: 'ambiguous',
+          email: null,
+          candidates: ['anna.nowak@bruss-group.com', 'anna.nowak2@bruss-group.com'],
+          rows: [21, 34],
+        },
+        { name: 'Wiśniewski Piotr', status: 'not-found', email: null, candidates: [], rows: [40] },
+      ],
+      unresolvedRows: 3,
+      skippedEvaluations: 80,
+      errors: [{ email: 'jan.kowalski@bruss-group.com', error: 'Request failed with status code 500' }],
+      duration: 12,
+      startedAt: '2025-03-21T07:00:00Z',
+      endedAt: '2025-03-21T07:00:12Z',
+      file: FILE_SAMPLE,
+    },
+    subject: (data, t) => t.summaryTitle,
+    title: (data, t) => t.summaryTitle,
+    content: (data, t, locale) => `
+      ${data.file ? fileInfo(data.file, t, locale) : ''}
+      <p><strong>${t.processedRows}:</strong> ${data.processedRows}</p>
+      <p><strong>${t.notificationsSent}:</strong> ${data.notificationsSent}</p>
+      <p><strong>${t.alreadySentToday}:</strong> ${data.alreadySentToday}</p>
+      <p><strong>${t.warningsSent}:</strong> ${data.warningsSent ?? 0}</p>
+      <p><strong>${t.escalated}:</strong> ${data.escalated ?? 0}</p>
+      ${
+        data.supervisors?.length > 0
+          ? `<p><strong>${t.supervisors(data.supervisors.length, data.overdueTrainings)}:</strong></p>
+      ${table(
+        [
+          t.supervisor,
+          t.email,
+          { label: t.trainings, align: 'right' },
+          { label: t.upcomingCount, align: 'right' },
+          t.status,
+        ],
+        data.supervisors.map((s) => [
+          s.name,
+          s.email,
+          { value: s.trainings, align: 'right' },
+          { value: s.upcoming ?? 0, align: 'right' },
+          t.statuses[s.status] || s.status,
+        ])
+      )}`
+          : ''
+      }
+      <p><strong>${t.invalidSupervisors}:</strong> ${data.invalidSupervisorRows.length}</p>
+      ${
+        data.invalidSupervisorRows.length > 0
+          ? `<ul>${data.invalidSupervisorRows
+              .map(
+                (e) =>
+                  `<li>${t.row} ${e.row}: ${e.nameValue || t.empty} - ${
+                    t.reasons[e.reason] || e.reason
+                  }</li>`
+              )
+              .join('')}</ul>`
+          : ''
+      }
+      ${
+        data.unresolvedSupervisors?.length > 0
+          ? `<p><strong>${t.unresolvedSupervisors(data.unresolvedRows)}:</strong></p>
+      <ul>${data.unresolvedSupervisors
+        .map(
+          (s) =>
+            `<li>${s.name} - ${t.unresolvedStatus[s.status] || s.status}${
+              s.email ? ` (${s.email})` : ''
+            }${s.candidates.length > 0 ? `, ${t.candidates}: ${s.candidates.join(', ')}` : ''} (${
+              t.rows
+            }: ${s.rows.join(', ')})</li>`
+        )
+        .join('')}</ul>`
+          : ''
+      }
+      <p><strong>${t.skippedEvaluations}:</strong> ${data.skippedEvaluations}</p>
+      <p><strong>${t.otherErrors}:</strong> ${data.errors.length}</p>
+      ${
+        data.errors.length > 0
+          ? `<ul>${data.errors.map((e) => `<li>${e.email}: ${e.error}</li>`).join('')}</ul>`
+          : ''
+      }
+      <p>${t.duration}: ${data.duration}s</p>
+      <p>${t.runPeriod}: ${formatDateTime(data.startedAt, locale)} - ${formatDateTime(
+        data.endedAt,
+        locale
+      )}</p>`,
+  },
+
+  'hr-training-file-missing': {
+    description: 'HR training workbook not found - sent to HR',
+    strings,
+    sample: { filePath: FILE_SAMPLE.path },
+    subject: (data, t) => t.fileMissingTitle,
+    title: (data, t) => t.fileMissingTitle,
+    content: (data, t) => `<p>${t.fileMissing}<br/><strong>${data.filePath}</strong></p>`,
+  },
+
+  'hr-training-file-stale': {
+    description: 'HR training workbook older than the allowed age, no reminders sent - sent to HR',
+    strings,
+    sample: { file: { ...FILE_SAMPLE, ageHours: 260 }, maxAgeDays: 7 },
+    titleColor: COLORS.warning,
+    subject: (data, t) => t.fileStaleTitle,
+    title: (data, t) => t.fileStaleTitle,
+    content: (data, t, locale) => `
+      ${panel(t.fileStale(data.maxAgeDays), 'warning')}
+      ${fileInfo(data.file, t, locale)}
+      <p>${t.fileStaleAction}</p>`,
+  },
+
+  'hr-training-schema-mismatch': {
+    description: 'HR training workbook without the required column headers - sent to HR',
+    strings,
+    sample: {
+      filePath: FILE_SAMPLE.path,
+      sheetName: 'Plan szkoleń',
+      missing: [
+        {
+          column: 'deadline',
+          aliases: ['Termin oceny efektywności', 'Termin oceny', 'Evaluation deadline'],
+        },
+      ],
+      headers: ['Lp.', 'Nazwa szkolenia', 'Nazwisko i imię', 'Przełożony', 'Ocena efektywności'],
+    },
+    titleColor: COLORS.danger,
+    subject: (data, t) => t.schemaMismatchTitle,
+    title: (data, t) => t.schemaMismatchTitle,
+    content: (data, t) => `
+      ${panel(t.schemaMismatch(data.sheetName), 'danger')}
+      <p><strong>${t.file}:</strong> ${data.filePath}</p>
+      <p><strong>${t.missingColumns}:</strong></p>
+      <ul>${data.missing
+        .map(
+          (m) =>
+            `<li><strong>${t.columns[m.column] || m.column}</strong>: ${m.aliases
+              .map((alias) => `"${alias}"`)
+              .join(', ')}</li>`
+        )
+        .join('')}</ul>
+      <p><strong>${t.foundHeaders}:</strong> ${
+        data.headers.length > 0 ? data.headers.join(' | ') : t.noHeaders
+      }</p>
+      <p>${t.schemaMismatchAction}</p>`,
+  },
+
+  'hr-training-escalation': {
+    description: 'Training evaluations overdue longer than the escalation limit - sent to HR once per row',
+    strings,
+    sample: {
+      escalateAfterDays: 7,
+      trainings: [
+        {
+          supervisorName: 'Kowalski Jan',
+          supervisorEmail: 'jan.kowalski@bruss-group.com',
+          trainingName: 'Szkolenie BHP',
+          traineeName: 'Nowak Anna',
+          evaluationDeadline: '2025-03-10',
+          daysOverdue: 11,
+          reminderCount: 8,
+        },
+      ],
+    },
+    titleColor: COLORS.danger,
+    subject: (data, t) => `${t.escalationTitle} (${data.trainings.length})`,
+    title: (data, t) => t.escalationTitle,
+    content: (data, t, locale) => `
+      <p>${t.escalation(data.escalateAfterDays)}</p>
+      ${table(
+        [
+          t.supervisor,
+          t.training,
+          t.trainee,
+          t.evaluationDeadline,
+          { label: t.daysOverdue, align: 'right' },
+          { label: t.remindersSent, align: 'right' },
+        ],
+        data.trainings.map((training) => [
+          `${training.supervisorName}<br/><span style="color: ${COLORS.muted};">${training.supervisorEmail}</span>`,
+          training.trainingName,
+          training.traineeName,
+          formatDate(training.evaluationDeadline, locale),
+          { value: training.daysOverdue, align: 'right' },
+          { value: training.reminderCount || 0, align: 'right' },
+        ])
+      )}`,
+  },
+};
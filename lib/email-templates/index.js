@@ -0,0 +1,101 @@
+import { escapeData, sanitizeSubject } from './escape.js';
+import { renderLayout } from './layout.js';
+import deviationTemplates from './deviations.js';
+import hrTrainingTemplates from './hr-training.js';
+import overtimeTemplates from './overtime.js';
+import systemTemplates from './system.js';
+
+export const DEFAULT_LOCALE = 'pl';
+export const SUPPORTED_LOCALES = ['pl', 'en'];
+
+/**
+ * Named templates per notification type
+ * Each template defines:
+ * - description: shown in the template list
+ * - strings: { pl: {...}, en: {...} } texts used by subject/title/content
+ * - subject(data, t, locale), title(data, t, locale), content(data, t, locale)
+ * - titleColor (optional): heading colour in the layout, or function(data) returning it
+ * - sample: example data used for previews
+ * title and content receive HTML-escaped data (see escape.js), subject receives raw data
+ * because it is plain text
+ */
+export const TEMPLATES = {
+  ...deviationTemplates,
+  ...overtimeTemplates,
+  ...hrTrainingTemplates,
+  ...systemTemplates,
+};
+
+/**
+ * Normalize a locale value (e.g. user.locale, 'en-GB', 'EN') to a supported locale
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Supported locale, Polish when unknown or missing
+ */
+export function resolveLocale(locale) {
+  const language = String(locale || '').slice(0, 2).toLowerCase();
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Get template definition by name
+ * @param {string} name - Template name
+ */
+function requireTemplate(name) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    const error = new Error(`Unknown email template: ${name}`);
+    error.status = 404;
+    throw error;
+  }
+  return template;
+}
+
+/**
+ * Render a named template in the shared layout
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {Object} options - Render options
+ * @param {string} [options.locale] - Recipient locale (defaults to Polish)
+ * @returns {{subject: string, html: string, locale: string}}
+ */
+export function renderEmail(name, data, { locale } = {}) {
+  const template = requireTemplate(name);
+  const resolvedLocale = resolveLocale(locale);
+  const t = template.strings[resolvedLocale];
+  const safeData = escapeData(data);
+
+  return {
+    subject: sanitizeSubject(template.subject(data, t, resolvedLocale)),
+    html: renderLayout({
+      title: template.title(safeData, t, resolvedLocale),
+      content: template.content(safeData, t, resolvedLocale),
+      titleColor:
+        typeof template.titleColor === 'function'
+          ? template.titleColor(data)
+          : template.titleColor,
+      locale: resolvedLocale,
+    }),
+    locale: resolvedLocale,
+  };
+}
+
+/**
+ * Render a template with its sample data, without sending anything
+ * @param {string} name - Template name
+ * @param {string} [locale] - Locale to preview
+ */
+export function previewEmail(name, locale) {
+  return renderEmail(name, requireTemplate(name).sample, { locale });
+}
+
+/**
+ * List available templates
+ * @returns {Array<{name: string, description: string, locales: string[]}>}
+ */
+export function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    locales: Object.keys(template.strings),
+  }));
+}
@@ -0,0 +1,143 @@
+/**
+ * Shared BRUSS email layout and building blocks used by all templates
+ * Email clients ignore <style> blocks, so every element carries inline styles
+ */
+
+export const COLORS = {
+  brand: '#003b71',
+  link: '#007bff',
+  success: '#4caf50',
+  warning: '#ff9800',
+  danger: '#d32f2f',
+  failure: '#f44336',
+  info: '#1976d2',
+  muted: '#666',
+  border: '#ccc',
+};
+
+// Background and accent colour per panel variant
+const PANELS = {
+  neutral: { background: '#f5f5f5', accent: null },
+  info: { background: '#e3f2fd', accent: COLORS.info },
+  success: { background: '#e8f5e8', accent: COLORS.success },
+  warning: { background: '#fff3e0', accent: COLORS.warning },
+  notice: { background: '#fff3cd', accent: '#ffc107' },
+  danger: { background: '#ffebee', accent: COLORS.danger },
+  plain: { background: '#fff', accent: COLORS.danger },
+};
+
+const CELL_STYLE = `padding: 8px; border: 1px solid ${COLORS.border};`;
+const PRE_STYLE = `background-color: #fff; padding: 10px; border: 1px solid ${COLORS.border}; border-radius: 3px; overflow-x: auto; font-size: 12px;`;
+
+const FOOTER_TEXT = {
+  pl: 'Wiadomość wygenerowana automatycznie przez bruss-cron - prosimy na nią nie odpowiadać.',
+  en: 'This message was generated automatically by bruss-cron - please do not reply.',
+};
+
+/**
+ * Wrap template content in the shared layout (header bar, content, footer)
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Heading shown above the content
+ * @param {string} options.content - Inner HTML
+ * @param {string} options.locale - Locale of the footer text
+ * @param {string} [options.titleColor] - Heading colour (defaults to brand colour)
+ * @param {number} [options.width] - Max content width in px
+ * @returns {string}
+ */
+export function renderLayout({ title, content, locale, titleColor = COLORS.brand, width = 800 }) {
+  return `
+<div style="font-family: Arial, sans-serif; max-width: ${width}px; color: #222;">
+  <div style="background-color: ${COLORS.brand}; color: #fff; padding: 10px 15px; font-size: 18px; font-weight: bold; letter-spacing: 2px;">BRUSS</div>
+  <div style="padding: 0 15px;">
+    ${title ? `<h2 style="color: ${titleColor};">${title}</h2>` : ''}
+    ${content}
+  </div>
+  <div style="border-top: 1px solid ${COLORS.border}; margin-top: 20px; padding: 10px 15px; font-size: 11px; color: ${COLORS.muted};">
+    ${FOOTER_TEXT[locale] || FOOTER_TEXT.pl}
+  </div>
+</div>`;
+}
+
+/**
+ * Call-to-action button linking to the application
+ * @param {string} url - Target URL
+ * @param {string} label - Button text
+ */
+export function button(url, label) {
+  return `
+    <p>
+      <a href="${url}" style="display:inline-block;padding:10px 20px;font-size:16px;color:white;background-color:${COLORS.link};text-decoration:none;border-radius:5px;">${label}</a>
+    </p>`;
+}
+
+/**
+ * Coloured box grouping related content
+ * @param {string} content - Inner HTML
+ * @param {string} [variant] - One of PANELS keys
+ */
+export function panel(content, variant = 'neutral') {
+  const { background, accent } = PANELS[variant] || PANELS.neutral;
+  const border = accent ? ` border-left: 4px solid ${accent};` : '';
+  return `
+    <div style="background-color: ${background}; padding: 15px; border-radius: 5px; margin: 10px 0;${border}">
+      ${content}
+    </div>`;
+}
+
+/**
+ * Preformatted block for error messages, stack traces and JSON
+ * @param {string} text - Content
+ */
+export function pre(text) {
+  return `<pre style="${PRE_STYLE}">${text}</pre>`;
+}
+
+/**
+ * Table with a grey header row
+ * @param {Array<string|{label: string, align?: string}>} columns - Column headers
+ * @param {Array<Array<string|{value: string, align?: string, style?: string}>>} rows - Cell values
+ * @returns {string}
+ */
+export function table(columns, rows) {
+  const normalize = (cell) => (typeof cell === 'object' && cell !== null ? cell : { value: cell });
+
+  const headerCells = columns
+    .map((column) => (typeof column === 'object' && column !== null ? column : { label: column }))
+    .map(
+      ({ label, align = 'left' }) =>
+        `<th style="${CELL_STYLE} text-align: ${align};">${label}</th>`
+    )
+    .join('');
+
+  const bodyRows = rows
+    .map(
+      (row) =>
+        `<tr>${row
+          .map(normalize)
+          .map(
+            ({ value, align = 'left', style = '' }) =>
+              `<td style="${CELL_STYLE} text-align: ${align}; ${style}">${value}</td>`
+          )
+          .join('')}</tr>`
+    )
+    .join('');
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
+      <thead><tr style="background-color: #e0e0e0;">${headerCells}</tr></thead>
+      <tbody>${bodyRows}</tbody>
+    </table>`;
+}
+
+/**
+ * Collapsible section (rendered expanded by clients without <details> support)
+ * @param {string} summary - Toggle label
+ * @param {string} content - Inner HTML
+ */
+export function details(summary, content) {
+  return `
+    <details style="margin-top: 10px;">
+      <summary style="cursor: pointer; color: ${COLORS.muted};">${summary}</summary>
+      ${content}
+    </details>`;
+}
@@ -0,0 +1,277 @@
+import { formatDateTime, plural } from './format.js';
+import { button, COLORS, panel, table } from './layout.js';
+
+const strings = {
+  pl: {
+    title: 'Praca w godzinach nadliczbowych - produkcja',
+    button: 'Przejdź do zleceń',
+    pendingSubject: 'Oczekujące zlecania wykonania pracy w godzinach nadliczbowych - produkcja',
+    pending: (count) =>
+      `Masz ${count} ${plural(
+        count,
+        ['oczekujące zlecenie', 'oczekujące zlecenia', 'oczekujących zleceń'],
+        'pl'
+      )} wykonania pracy w godzinach nadliczbowych - produkcja.`,
+    startedTitle: 'Uwaga: zlecenia, których termin rozpoczęcia już minął',
+    started: 'Poniższe zlecenia nie zostały zatwierdzone, a termin ich rozpoczęcia już minął:',
+    highlighted: (hours) =>
+      `Wyróżnione zlecenia oczekują na zatwierdzenie dłużej niż ${hours}h.`,
+    department: 'Dział',
+    period: 'Termin',
+    employees: 'Pracownicy',
+    requestedBy: 'Zlecający',
+    pendingFor: 'Oczekuje',
+    open: 'Otwórz',
+    pendingValue: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} ${plural(days, ['dzień', 'dni', 'dni'], 'pl')}` : `${hours}h`;
+    },
+    attendanceSubject:
+      'Zlecenia wykonania pracy w godzinach nadliczbowych - produkcja - oczekuje na dodanie listy obecności',
+    attendance: (count) =>
+      `${
+        count === 1
+          ? 'Zlecenie wykonania pracy w godzinach nadliczbowych - produkcja oczekuje'
+          : `${count} zleceń wykonania pracy w godzinach nadliczbowych - produkcja oczekuje`
+      } na dodanie listy obecności.`,
+    escalated: (reminders) =>
+      `Lista obecności nie została dodana mimo ${reminders} ${plural(
+        reminders,
+        ['przypomnienia', 'przypomnień', 'przypomnień'],
+        'pl'
+      )}, dlatego kopia tej wiadomości trafia również do przełożonego.`,
+
+    reportTitle: 'Raport miesięczny - praca w godzinach nadliczbowych',
+    reportSubject: (month) => `Raport nadgodzin - produkcja - ${month}`,
+    reportIntro: (month) =>
+      `W załączniku raport zatwierdzonych i zrealizowanych zleceń pracy w godzinach nadliczbowych za miesiąc <strong>${month}</strong>.`,
+    requests: 'Zlecenia',
+    hours: 'Godziny',
+    employeeHours: 'Roboczogodziny',
+    total: 'Razem',
+    noRequests: 'Brak zatwierdzonych zleceń w tym miesiącu.',
+    reportSaved: (path) => `Raport zapisano w: <strong>${path}</strong>`,
+    reportNotSaved: (error) => `Nie udało się zapisać raportu na udziale sieciowym: ${error}`,
+  },
+  en: {
+    title: 'Production overtime',
+    button: 'Open overtime requests',
+    pendingSubject: 'Pending production overtime requests',
+    pending: (count) =>
+      `You have ${count} pending production overtime ${plural(
+        count,
+        ['request', null, 'requests'],
+        'en'
+      )}.`,
+    startedTitle: 'Warning: requests whose start date has passed',
+    started: 'The following requests have not been approved and their start date has already passed:',
+    highlighted: (hours) => `Highlighted requests have been pending for more than ${hours}h.`,
+    department: 'Department',
+    period: 'Period',
+    employees: 'Employees',
+    requestedBy: 'Requested by',
+    pendingFor: 'Pending',
+    open: 'Open',
+    pendingValue: (hours) => {
+      const days = Math.floor(hours / 24);
+      return days >= 2 ? `${days} days` : `${hours}h`;
+    },
+    attendanceSubject: 'Production overtime requests - attendance list missing',
+    attendance: (count) =>
+      `${
+        count === 1
+          ? 'A production overtime request is'
+          : `${count} production overtime requests are`
+      } waiting for the attendance list.`,
+    escalated: (reminders) =>
+      `The attendance list has not been added despite ${reminders} ${plural(
+        reminders,
+        ['reminder', null, 'reminders'],
+        'en'
+      )}, so a copy of this message is also sent to the supervisor.`,
+
+    reportTitle: 'Monthly report - production overtime',
+    reportSubject: (month) => `Production overtime report - ${month}`,
+    reportIntro: (month) =>
+      `Attached is the report of approved and completed production overtime requests for <strong>${month}</strong>.`,
+    requests: 'Requests',
+    hours: 'Hours',
+    employeeHours: 'Employee hours',
+    total: 'Total',
+    noRequests: 'No approved requests in this month.',
+    reportSaved: (path) => `The report was saved to: <strong>${path}</strong>`,
+    reportNotSaved: (error) => `The report could not be saved to the network share: ${error}`,
+  },
+};
+
+const ATTENDANCE_SAMPLE = {
+  count: 3,
+  overtimeUrl: 'https://example.com/production-overtime',
+  previousReminders: 4,
+  escalated: true,
+};
+
+const PENDING_SAMPLE = {
+  overtimeUrl: 'https://example.com/production-overtime',
+  highlightAfterHours: 48,
+  requests: [
+    {
+      department: 'Powlekanie',
+      from: new Date('2025-07-05T06:00:00Z'),
+      to: new Date('2025-07-05T14:00:00Z'),
+      employees: 6,
+      requestedBy: 'J. Kowalski',
+      pendingHours: 70,
+      highlighted: true,
+      url: 'https://example.com/production-overtime/000000000000000000000001',
+    },
+    {
+      department: 'EOL',
+      from: new Date('2025-07-12T06:00:00Z'),
+      to: new Date('2025-07-12T10:00:00Z'),
+      employees: 3,
+      requestedBy: 'A. Nowak',
+      pendingHours: 5,
+      highlighted: false,
+      url: 'https://example.com/production-overtime/000000000000000000000002',
+    },
+  ],
+  startedRequests: [
+    {
+      department: 'Montaż',
+      from: new Date('2025-07-01T06:00:00Z'),
+      to: new Date('2025-07-01T14:00:00Z'),
+      employees: 4,
+      requestedBy: 'P. Wiśniewski',
+      pendingHours: 120,
+      highlighted: true,
+      url: 'https://example.com/production-overtime/000000000000000000000003',
+    },
+  ],
+};
+
+const REPORT_SAMPLE = {
+  month: '2025-06',
+  departments: [
+    { department: 'Powlekanie', requests: 12, employees: 58, hours: 96, employeeHours: 464 },
+    { department: 'EOL', requests: 4, employees: 11, hours: 28, employeeHours: 77 },
+  ],
+  totals: { requests: 16, employees: 69, hours: 124, employeeHours: 541 },
+  savedPath: '\\\\fileserver\\Raporty\\Nadgodziny\\nadgodziny-2025-06.xlsx',
+  smbError: null,
+};
+
+/**
+ * Table of overtime requests, requests pending past the threshold are highlighted
+ * @param {Array} requests - Request rows from the template data
+ * @param {Object} t - Locale strings
+ * @param {string} locale - Template locale
+ */
+function requestsTable(requests, t, locale) {
+  return table(
+    [t.department, t.period, { label: t.employees, align: 'right' }, t.requestedBy, t.pendingFor, ''],
+    requests.map((request) => {
+      const style = request.highlighted ? `color: ${COLORS.danger}; font-weight: bold;` : '';
+      return [
+        { value: request.department || '-', style },
+        `${formatDateTime(request.from, locale)} - ${formatDateTime(request.to, locale)}`,
+        { value: request.employees ?? '-', align: 'right' },
+        request.requestedBy || '-',
+        { value: t.pendingValue(request.pendingHours), style },
+        `<a href="${request.url}" style="color: ${COLORS.link};">${t.open}</a>`,
+      ];
+    })
+  );
+}
+
+export default {
+  'overtime-pending-approval': {
+    description:
+      'Pending production overtime requests with details, highlighting old and already started ones - sent to plant managers',
+    strings,
+    sample: PENDING_SAMPLE,
+    subject: (data, t) => t.pendingSubject,
+    title: (data, t) => t.title,
+    content: (data, t, locale) => `
+      <p>${t.pending(data.requests.length + data.startedRequests.length)}</p>
+      ${
+        data.startedRequests.length > 0
+          ? panel(
+              `<strong>${t.startedTitle}</strong><p>${t.started}</p>${requestsTable(
+                data.startedRequests,
+                t,
+                locale
+              )}`,
+              'warning'
+            )
+          : ''
+      }
+      ${data.requests.length > 0 ? requestsTable(data.requests, t, locale) : ''}
+      ${
+        [...data.requests, ...data.startedRequests].some((request) => request.highlighted)
+          ? `<p style="color: ${COLORS.muted};">${t.highlighted(data.highlightAfterHours)}</p>`
+          : ''
+      }
+      ${button(data.overtimeUrl, t.button)}`,
+  },
+
+  'overtime-attendance-reminder': {
+    description: 'Completed overtime requests without attendance list - sent to responsible employees, with a copy to the supervisor after repeated reminders',
+    strings,
+    sample: ATTENDANCE_SAMPLE,
+    subject: (data, t) => t.attendanceSubject,
+    title: (data, t) => t.title,
+    content: (data, t) => `
+      <p>${t.attendance(data.count)}</p>
+      ${data.escalated ? panel(t.escalated(data.previousReminders), 'warning') : ''}
+      ${button(data.overtimeUrl, t.button)}`,
+  },
+
+  'overtime-monthly-report': {
+    description:
+      'Monthly production overtime report by department (XLSX attached) - sent to plant managers and HR',
+    strings,
+    sample: REPORT_SAMPLE,
+    subject: (data, t) => t.reportSubject(data.month),
+    title: (data, t) => t.reportTitle,
+    content: (data, t) => {
+      const numberCell = (value) => ({ value, align: 'right' });
+      const summary =
+        data.departments.length > 0
+          ? table(
+              [
+                t.department,
+                { label: t.requests, align: 'right' },
+                { label: t.employees, align: 'right' },
+                { label: t.hours, align: 'right' },
+                { label: t.employeeHours, align: 'right' },
+              ],
+              [
+                ...data.departments.map((row) => [
+                  row.department || '-',
+                  numberCell(row.requests),
+                  numberCell(row.employees),
+                  numberCell(row.hours),
+                  numberCell(row.employeeHours),
+                ]),
+                [
+                  { value: t.total, style: 'font-weight: bold;' },
+                  ...[
+                    data.totals.requests,
+                    data.totals.employees,
+                    data.totals.hours,
+                    data.totals.employeeHours,
+                  ].map((value) => ({ value, align: 'right', style: 'font-weight: bold;' })),
+                ],
+              ]
+            )
+          : `<p>${t.noRequests}</p>`;
+
+      return `
+        <p>${t.reportIntro(data.month)}</p>
+        ${summary}
+        ${data.savedPath ? `<p>${t.reportSaved(data.savedPath)}</p>` : ''}
+        ${data.smbError ? panel(t.reportNotSaved(data.smbError), 'danger') : ''}`;
+    },
+  },
+};
@@ -0,0 +1,777 @@
+import { formatDateTime, plural } from './format.js';
+import { COLORS, details, panel, pre, table } from './layout.js';
+
+const SENSOR_NAMES = {
+  pl: { z0: 'Lewy górny', z1: 'Prawy górny', z2: 'Lewy dolny', z3: 'Prawy dolny' },
+  en: { z0: 'Top Left', z1: 'Top Right', z2: 'Bottom Left', z3: 'Bottom Right' },
+};
+
+const strings = {
+  pl: {
+    job: 'Zadanie',
+    time: 'Czas',
+    error: 'Błąd',
+    stackTrace: 'Stack trace',
+    context: 'Kontekst',
+    firstOccurrence: 'Pierwsze wystąpienie',
+    lastOccurrence: 'Ostatnie wystąpienie',
+    summary: 'Podsumowanie',
+    showDetails: 'Pokaż szczegóły',
+    occurrencesLabel: 'Wystąpienia',
+    notAvailable: 'b.d.',
+    none: 'Brak',
+
+    jobErrorTitle: 'Błąd w zadaniu cron',
+
+    errorReportTitle: 'Raport błędów - ostatnia godzina',
+    errorReportSubject: (errors, jobs, time) =>
+      `[CRON] Raport błędów - ${errors} ${plural(errors, ['błąd', 'błędy', 'błędów'], 'pl')} w ${jobs} ${plural(
+        jobs,
+        ['zadaniu', 'zadaniach', 'zadaniach'],
+        'pl'
+      )} - ${time}`,
+    totalErrors: 'Liczba błędów',
+    jobsWithErrors: 'Zadania z błędami',
+    errorCount: 'Liczba błędów',
+    uniqueTypes: 'Unikalne typy',
+    errorDetails: 'Szczegóły błędów',
+    jobErrors: (count) => `${count} ${plural(count, ['błąd', 'błędy', 'błędów'], 'pl')}`,
+    errorOccurrences: (count) => `Błąd (${count} ${plural(count, ['wystąpienie', 'wystąpienia', 'wystąpień'], 'pl')})`,
+
+    statusTitle: 'Podsumowanie statusu - od ostatniego raportu',
+    statusSubject: (total, since, time) =>
+      `[CRON] Podsumowanie statusu - ${total} ${plural(total, ['wykonanie', 'wykonania', 'wykonań'], 'pl')} od ostatniego raportu${
+        since ? ` (od ${since})` : ''
+      } - ${time}`,
+    successful: 'Zakończone sukcesem',
+    failed: 'Nieudane',
+    skipped: 'Pominięte uruchomienia',
+    noExecutionsNote: 'Uwaga',
+    noExecutions: 'Brak wykonań zadań od ostatniego raportu.',
+    noExecutionsReasons: 'Możliwe przyczyny:',
+    noExecutionsReasonList: [
+      'Wszystkie zadania są zaplanowane poza tym przedziałem czasu',
+      'System został niedawno uruchomiony',
+      'Zadania mogą nie działać zgodnie z oczekiwaniami',
+    ],
+    backupSummary: 'Podsumowanie kopii zapasowych',
+    backupName: 'Kopia zapasowa',
+    status: 'Status',
+    backupSuccess: 'Sukces',
+    backupFailed: 'Błąd',
+    jobSummary: 'Podsumowanie zadań',
+    jobName: 'Zadanie',
+    success: 'Sukces',
+    failure: 'Błąd',
+    skippedShort: 'Pominięte',
+    successRate: 'Skuteczność',
+    jobsWithFailures: 'Zadania z błędami',
+    failures: (failed, total) => `Błędy: ${failed}/${total} wykonań`,
+    lastFailure: 'Ostatni błąd',
+    lastSuccess: 'Ostatni sukces',
+    noRecentSuccess: 'Brak ostatnich sukcesów',
+    allOperational: '✅ Wszystkie systemy działają',
+    allSucceeded: (count) => `Wszystkie ${count} wykonania zadań od ostatniego raportu zakończyły się sukcesem.`,
+
+    sensors: SENSOR_NAMES.pl,
+    outliersTitle: '⚠️ Raport odchyleń temperatury - ostatnia godzina',
+    outliersSubject: (outliers, ovens, time) =>
+      `[CRON] Raport odchyleń temperatury - ${outliers} ${plural(outliers, ['odchylenie', 'odchylenia', 'odchyleń'], 'pl')} w ${ovens} ${plural(
+        ovens,
+        ['piecu', 'piecach', 'piecach'],
+        'pl'
+      )} - ${time}`,
+    totalOutliers: 'Liczba odchyleń',
+    ovensWithOutliers: 'Piece z odchyleniami',
+    oven: 'Piec',
+    outlierCount: 'Liczba odchyleń',
+    outlierDetails: 'Szczegóły odchyleń',
+    ovenOutliers: (oven, count) =>
+      `Piec ${oven} (${count} ${plural(count, ['odchylenie', 'odchylenia', 'odchyleń'], 'pl')})`,
+    outlierSensors: 'Czujniki z odchyleniem',
+    occurrences: 'Wystąpienia',
+    temperatureRange: 'Zakres temperatur',
+    showExample: 'Pokaż przykładowe odczyty czujników i procesy',
+    exampleReadings: (time) => `Przykładowe odczyty czujników (${time})`,
+    medianTemp: 'Mediana temperatury',
+    filteredAvg: 'Średnia bez odchyleń',
+    sensor: 'Czujnik',
+    temperature: 'Temperatura',
+    outlier: '⚠️ ODCHYLENIE',
+    ok: '✓ OK',
+    activeProcesses: 'Aktywne procesy',
+    hydraBatch: 'Partia Hydra',
+    article: 'Artykuł',
+    outlierDefinition: (percent) => `Odchylenie = różnica > ${percent}% od mediany wszystkich czujników`,
+
+    missingTitle: '🔴 Brakujące odczyty czujników pieców - ostatnia godzina',
+    missingSubject: (failures, ovens, time) =>
+      `[CRON] Brakujące odczyty czujników pieców - ${failures} ${plural(
+        failures,
+        ['błąd', 'błędy', 'błędów'],
+        'pl'
+      )} w ${ovens} ${plural(ovens, ['piecu', 'piecach', 'piecach'], 'pl')} - ${time}`,
+    totalFailedReadings: 'Nieudane odczyty',
+    ovensAffected: 'Piece z błędami',
+    ipAddress: 'Adres IP',
+    failureCount: 'Liczba błędów',
+    failureDetails: 'Szczegóły błędów',
+    ovenFailures: (oven, count) => `Piec ${oven} (${count} ${plural(count, ['błąd', 'błędy', 'błędów'], 'pl')})`,
+    lastSuccessfulRead: 'Ostatni udany odczyt',
+    never: 'Nigdy',
+    errorType: 'Typ błędu',
+    errorMessage: 'Komunikat błędu',
+    unknown: 'Nieznany',
+    showProcesses: 'Pokaż aktywne procesy',
+    startTime: 'Start',
+    missingNote:
+      'Nieudane odczyty czujników oznaczają problemy z połączeniem ze sterownikami pieców. Sprawdź połączenie sieciowe i stan sterownika.',
+
+    pm2Title: 'Błędy w logach PM2',
+    application: 'Aplikacja',
+    recentErrorLines: 'Ostatnie linie błędów',
+    noErrorLines: 'Brak linii błędów',
+  },
+  en: {
+    job: 'Job',
+    time: 'Time',
+    error: 'Error',
+    stackTrace: 'Stack trace',
+    context: 'Context',
+    firstOccurrence: 'First Occurrence',
+    lastOccurrence: 'Last Occurrence',
+    summary: 'Summary',
+    showDetails: 'Show details',
+    occurrencesLabel: 'Occurrences',
+    notAvailable: 'N/A',
+    none: 'None',
+
+    jobErrorTitle: 'Cron job error',
+
+    errorReportTitle: 'Error Report - Last Hour',
+    errorReportSubject: (errors, jobs, time) =>
+      `[CRON] Error Report - ${errors} ${plural(errors, ['error', null, 'errors'], 'en')} in ${jobs} ${plural(
+        jobs,
+        ['job', null, 'jobs'],
+        'en'
+      )} - ${time}`,
+    totalErrors: 'Total Errors',
+    jobsWithErrors: 'Jobs with Errors',
+    errorCount: 'Error Count',
+    uniqueTypes: 'Unique Types',
+    errorDetails: 'Error Details',
+    jobErrors: (count) => `${count} ${plural(count, ['error', null, 'errors'], 'en')}`,
+    errorOccurrences: (count) => `Error (${count} ${plural(count, ['occurrence', null, 'occurrences'], 'en')})`,
+
+    statusTitle: 'Status Summary - Since Last Report',
+    statusSubject: (total, since, time) =>
+      `[CRON] Status Summary - ${total} ${plural(total, ['execution', null, 'executions'], 'en')} since last report${
+        since ? ` (since ${since})` : ''
+      } - ${time}`,
+    successful: 'Successful',
+    failed: 'Failed',
+    skipped: 'Skipped runs',
+    noExecutionsNote: 'Note',
+    noExecutions: 'No job executions recorded since last report.',
+    noExecutionsReasons: 'This could indicate:',
+    noExecutionsReasonList: [
+      'All jobs are scheduled outside this time window',
+      'The system was recently started',
+      'Jobs may not be running as expected',
+    ],
+    backupSummary: 'Backup Summary',
+    backupName: 'Backup Name',
+    status: 'Status',
+    backupSuccess: 'Success',
+    backupFailed: 'Failed',
+    jobSummary: 'Job Summary',
+    jobName: 'Job Name',
+    success: 'Success',
+    failure: 'Failed',
+    skippedShort: 'Skipped',
+    successRate: 'Success Rate',
+    jobsWithFailures: 'Jobs with Failures',
+    failures: (failed, total) => `Failures: ${failed}/${total} executions`,
+    lastFailure: 'Last failure',
+    lastSuccess: 'Last success',
+    noRecentSuccess: 'No recent successes',
+    allOperational: '✅ All systems operational',
+    allSucceeded: (count) => `All ${count} job executions completed successfully since last report.`,
+
+    sensors: SENSOR_NAMES.en,
+    outliersTitle: '⚠️ Temperature Outlier Report - Last Hour',
+    outliersSubject: (outliers, ovens, time) =>
+      `[CRON] Temperature Outlier Report - ${outliers} ${plural(outliers, ['outlier', null, 'outliers'], 'en')} in ${ovens} ${plural(
+        ovens,
+        ['oven', null, 'ovens'],
+        'en'
+      )} - ${time}`,
+    totalOutliers: 'Total Outliers',
+    ovensWithOutliers: 'Ovens with Outliers',
+    oven: 'Oven',
+    outlierCount: 'Outlier Count',
+    outlierDetails: 'Outlier Details',
+    ovenOutliers: (oven, count) => `Oven ${oven} (${count} ${plural(count, ['outlier', null, 'outliers'], 'en')})`,
+    outlierSensors: 'Outlier Sensors',
+    occurrences: 'Occurrences',
+    temperatureRange: 'Temperature Range',
+    showExample: 'Show example sensor readings and processes',
+    exampleReadings: (time) => `Example Sensor Readings (${time})`,
+    medianTemp: 'Median Temperature',
+    filteredAvg: 'Filtered Average (excluding outliers)',
+    sensor: 'Sensor',
+    temperature: 'Temperature',
+    outlier: '⚠️ OUTLIER',
+    ok: '✓ OK',
+    activeProcesses: 'Active Processes',
+    hydraBatch: 'Hydra Batch',
+    article: 'Article',
+    outlierDefinition: (percent) => `Outlier = deviation > ${percent}% from median of all sensors`,
+
+    missingTitle: '🔴 Missing Oven Sensor Readings - Last Hour',
+    missingSubject: (failures, ovens, time) =>
+      `[CRON] Missing Oven Sensor Readings - ${failures} ${plural(failures, ['failure', null, 'failures'], 'en')} in ${ovens} ${plural(
+        ovens,
+        ['oven', null, 'ovens'],
+        'en'
+      )} - ${time}`,
+    totalFailedReadings: 'Total Failed Readings',
+    ovensAffected: 'Ovens Affected',
+    ipAddress: 'IP Address',
+    failureCount: 'Failure Count',
+    failureDetails: 'Failure Details',
+    ovenFailures: (oven, count) => `Oven ${oven} (${count} ${plural(count, ['failure', null, 'failures'], 'en')})`,
+    lastSuccessfulRead: 'Last Successful Read',
+    never: 'Never',
+    errorType: 'Error Type',
+    errorMessage: 'Error Message',
+    unknown: 'Unknown',
+    showProcesses: 'Show active processes',
+    startTime: 'Start Time',
+    missingNote:
+      'Failed sensor readings indicate connection issues with oven controllers. Check network connectivity and controller status.',
+
+    pm2Title: 'PM2 Error Log Alert',
+    application: 'Application',
+    recentErrorLines: 'Recent Error Lines',
+    noErrorLines: 'No error lines available',
+  },
+};
+
+const SAMPLE_TIME = '2025-03-21T08:15:00Z';
+
+/**
+ * Paragraph with a bold label
+ */
+function field(label, value) {
+  return `<p><strong>${label}:</strong> ${value}</p>`;
+}
+
+/**
+ * Process table shared by temperature reports
+ */
+function processTable(processes, t, locale, withStartTime = false) {
+  return table(
+    [t.hydraBatch, t.article, t.status, ...(withStartTime ? [t.startTime] : [])],
+    processes.map((proc) => [
+      proc.hydraBatch || t.notAvailable,
+      proc.article || t.notAvailable,
+      proc.status,
+      ...(withStartTime
+        ? [
+            {
+              value: proc.startTime ? formatDateTime(proc.startTime, locale) : t.notAvailable,
+              style: 'font-size: 11px;',
+            },
+          ]
+        : []),
+    ])
+  );
+}
+
+function rateColor(failureCount, rate) {
+  if (failureCount === 0) return COLORS.success;
+  return rate >= 90 ? COLORS.warning : COLORS.failure;
+}
+
+/**
+ * Overall status colour (skipped runs did not execute, so they are not counted)
+ */
+function healthColor(data) {
+  const completed = data.successfulExecutions + data.failedExecutions;
+  const healthScore = completed > 0 ? (data.successfulExecutions / completed) * 100 : 100;
+  return rateColor(data.failedExecutions, healthScore);
+}
+
+export default {
+  'job-error': {
+    description: 'Immediate notification about a failed job - sent to administrators',
+    strings,
+    titleColor: COLORS.danger,
+    sample: {
+      jobName: 'sendDeviationApprovalReminders',
+      timestamp: SAMPLE_TIME,
+      message: 'connect ECONNREFUSED 127.0.0.1:27017',
+      stack: 'MongoServerSelectionError: connect ECONNREFUSED 127.0.0.1:27017\n    at Timeout._onTimeout',
+      context: { attempt: 1 },
+    },
+    subject: (data, t, locale) => `[CRON ERROR] ${data.jobName} - ${formatDateTime(data.timestamp, locale)}`,
+    title: (data, t) => t.jobErrorTitle,
+    content: (data, t, locale) => {
+      const hasContext = data.context && Object.keys(data.context).length > 0;
+      return `
+      ${panel(`${field(t.job, data.jobName)}${field(t.time, formatDateTime(data.timestamp, locale))}`)}
+      ${panel(
+        `<p><strong>${t.error}:</strong></p>${pre(data.message || t.unknown)}${
+          data.stack ? `<p><strong>${t.stackTrace}:</strong></p>${pre(data.stack)}` : ''
+        }`,
+        'danger'
+      )}
+      ${
+        hasContext
+          ? panel(`<p><strong>${t.context}:</strong></p>${pre(JSON.stringify(data.context, null, 2))}`, 'info')
+          : ''
+      }`;
+    },
+  },
+
+  'error-report': {
+    description: 'Hourly batch of job errors - sent to administrators',
+    strings,
+    titleColor: COLORS.danger,
+    sample: {
+      generatedAt: SAMPLE_TIME,
+      totalErrors: 2,
+      jobs: [
+        {
+          jobName: 'logOvenTemperature',
+          count: 2,
+          uniqueErrorTypes: 1,
+          firstOccurrence: '2025-03-21T07:20:00Z',
+          lastOccurrence: '2025-03-21T07:40:00Z',
+          errorTypes: [
+            {
+              message: 'timeout of 5000ms exceeded',
+              stack: 'AxiosError: timeout of 5000ms exceeded',
+              occurrences: [
+                { timestamp: '2025-03-21T07:20:00Z', context: {} },
+                { timestamp: '2025-03-21T07:40:00Z', context: { oven: 'tem10' } },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+    subject: (data, t, locale) =>
+      t.errorReportSubject(data.totalErrors, data.jobs.length, formatDateTime(data.generatedAt, locale)),
+    title: (data, t) => t.errorReportTitle,
+    content: (data, t, locale) => `
+      ${panel(`${field(t.totalErrors, data.totalErrors)}${field(t.jobsWithErrors, data.jobs.length)}`)}
+      <h3>${t.summary}</h3>
+      ${table(
+        [
+          t.jobName,
+          { label: t.errorCount, align: 'center' },
+          { label: t.uniqueTypes, align: 'center' },
+          { label: t.firstOccurrence, align: 'center' },
+          { label: t.lastOccurrence, align: 'center' },
+        ],
+        data.jobs.map((job) => [
+          job.jobName,
+          { value: job.count, align: 'center' },
+          { value: job.uniqueErrorTypes, align: 'center' },
+          { value: formatDateTime(job.firstOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+          { value: formatDateTime(job.lastOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+        ])
+      )}
+      <h3>${t.errorDetails}</h3>
+      ${data.jobs
+        .map(
+          (job) => `
+      <div style="margin: 20px 0; border: 1px solid ${COLORS.border}; border-radius: 5px; padding: 10px;">
+        <h4 style="color: ${COLORS.info}; margin-top: 0;">${job.jobName} (${t.jobErrors(job.count)})</h4>
+        ${job.errorTypes
+          .map((errorType) =>
+            panel(
+              `<p><strong>${t.errorOccurrences(errorType.occurrences.length)}:</strong></p>
+              ${pre(errorType.message)}
+              ${details(
+                t.showDetails,
+                `${errorType.stack ? `<p><strong>${t.stackTrace}:</strong></p>${pre(errorType.stack)}` : ''}
+                <p><strong>${t.occurrencesLabel}:</strong></p>
+                <ul style="font-size: 12px;">${errorType.occurrences
+                  .map(
+                    (occ) =>
+                      `<li>${formatDateTime(occ.timestamp, locale)}${
+                        occ.context && Object.keys(occ.context).length > 0
+                          ? ` - ${t.context}: ${JSON.stringify(occ.context)}`
+                          : ''
+                      }</li>`
+                  )
+                  .join('')}</ul>`
+              )}`,
+              'danger'
+            )
+          )
+          .join('')}
+      </div>`
+        )
+        .join('')}`,
+  },
+
+  'status-summary': {
+    description: 'Periodic job status summary - sent to administrators',
+    strings,
+    sample: {
+      generatedAt: SAMPLE_TIME,
+      periodStart: '2025-03-21T02:15:00Z',
+      totalExecutions: 12,
+      successfulExecutions: 10,
+      failedExecutions: 1,
+      skippedExecutions: 1,
+      backups: [
+        { name: 'LV1', status: 'success' },
+        { name: 'LV2', status: 'failure' },
+      ],
+      jobStats: [
+        {
+          jobName: 'archiveScans',
+          totalExecutions: 6,
+          successCount: 5,
+          failureCount: 1,
+          skippedCount: 0,
+          lastSuccess: '21.03.2025, 08:00:00',
+          lastFailure: '21.03.2025, 07:00:00',
+        },
+        {
+          jobName: 'syncLdapUsers',
+          totalExecutions: 6,
+          successCount: 5,
+          failureCount: 0,
+          skippedCount: 1,
+          lastSuccess: '21.03.2025, 08:00:00',
+          lastFailure: null,
+        },
+      ],
+    },
+    subject: (data, t, locale) =>
+      t.statusSubject(
+        data.totalExecutions,
+        data.periodStart ? formatDateTime(data.periodStart, locale) : null,
+        formatDateTime(data.generatedAt, locale)
+      ),
+    title: (data, t) => t.statusTitle,
+    titleColor: healthColor,
+    content: (data, t) => {
+      let html = `
+      ${panel(
+        `<p><strong>${t.successful}:</strong> <span style="color: ${COLORS.success};">${data.successfulExecutions}</span></p>
+        <p><strong>${t.failed}:</strong> <span style="color: ${COLORS.failure};">${data.failedExecutions}</span></p>
+        <p><strong>${t.skipped}:</strong> <span style="color: ${COLORS.warning};">${data.skippedExecutions}</span></p>`
+      )}`;
+
+      if (data.totalExecutions === 0) {
+        return `${html}${panel(
+          `<p><strong>${t.noExecutionsNote}:</strong> ${t.noExecutions}</p>
+          <p>${t.noExecutionsReasons}</p>
+          <ul>${t.noExecutionsReasonList.map((reason) => `<li>${reason}</li>`).join('')}</ul>`,
+          'notice'
+        )}`;
+      }
+
+      if (data.backups.length > 0) {
+        html += `
+      <h3>${t.backupSummary}</h3>
+      ${table(
+        [t.backupName, { label: t.status, align: 'center' }],
+        data.backups.map((backup) => {
+          const success = backup.status === 'success';
+          return [
+            { value: backup.name, style: 'font-weight: bold;' },
+            {
+              value: success ? t.backupSuccess : t.backupFailed,
+              align: 'center',
+              style: `color: ${success ? COLORS.success : COLORS.failure}; font-weight: bold;`,
+            },
+          ];
+        })
+      )}`;
+      }
+
+      html += `
+      <h3>${t.jobSummary}</h3>
+      ${table(
+        [
+          t.jobName,
+          { label: t.success, align: 'center' },
+          { label: t.failure, align: 'center' },
+          { label: t.skippedShort, align: 'center' },
+          { label: t.successRate, align: 'center' },
+        ],
+        data.jobStats.map((job) => {
+          const completedCount = job.successCount + job.failureCount;
+          const successRate = completedCount > 0 ? Math.round((job.successCount / completedCount) * 100) : 0;
+          return [
+            job.jobName,
+            { value: job.successCount, align: 'center', style: `color: ${COLORS.success};` },
+            { value: job.failureCount, align: 'center', style: `color: ${COLORS.failure};` },
+            { value: job.skippedCount, align: 'center', style: `color: ${COLORS.warning};` },
+            {
+              value: `${successRate}%`,
+              align: 'center',
+              style: `color: ${rateColor(job.failureCount, successRate)}; font-weight: bold;`,
+            },
+          ];
+        })
+      )}`;
+
+      const failedJobs = data.jobStats.filter((job) => job.failureCount > 0);
+      if (failedJobs.length > 0) {
+        html += `
+      <h3 style="color: ${COLORS.failure};">${t.jobsWithFailures}</h3>
+      ${failedJobs
+        .map((job) =>
+          panel(
+            `<p><strong>${job.jobName}</strong></p>
+            <p>${t.failures(job.failureCount, job.totalExecutions)}</p>
+            <p>${t.lastFailure}: ${job.lastFailure || t.notAvailable}</p>
+            <p>${t.lastSuccess}: ${job.lastSuccess || t.noRecentSuccess}</p>`,
+            'danger'
+          )
+        )
+        .join('')}`;
+      }
+
+      if (data.failedExecutions === 0) {
+        html += panel(
+          `<p><strong>${t.allOperational}</strong></p><p>${t.allSucceeded(data.successfulExecutions)}</p>`,
+          'success'
+        );
+      }
+
+      return html;
+    },
+  },
+
+  'temperature-outliers': {
+    description: 'Hourly batch of oven temperature outliers - sent to administrators',
+    strings,
+    titleColor: COLORS.warning,
+    sample: {
+      generatedAt: SAMPLE_TIME,
+      totalOutliers: 1,
+      thresholdPercent: 17,
+      ovens: [
+        {
+          oven: 'tem10',
+          count: 1,
+          firstOccurrence: '2025-03-21T07:20:00Z',
+          lastOccurrence: '2025-03-21T07:20:00Z',
+          groups: [
+            {
+              outlierSensors: ['z1'],
+              count: 1,
+              firstOccurrence: '2025-03-21T07:20:00Z',
+              lastOccurrence: '2025-03-21T07:20:00Z',
+              tempRanges: { z1: { min: 240, max: 240 } },
+              example: {
+                timestamp: '2025-03-21T07:20:00Z',
+                medianTemp: 180,
+                avgTemp: 180.3,
+                sensors: [
+                  { key: 'z0', value: 180, isOutlier: false },
+                  { key: 'z1', value: 240, isOutlier: true },
+                  { key: 'z2', value: 181, isOutlier: false },
+                  { key: 'z3', value: 180, isOutlier: false },
+                ],
+                processes: [{ hydraBatch: 'HB123', article: '28042', status: 'running' }],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    subject: (data, t, locale) =>
+      t.outliersSubject(data.totalOutliers, data.ovens.length, formatDateTime(data.generatedAt, locale)),
+    title: (data, t) => t.outliersTitle,
+    content: (data, t, locale) => {
+      const sensorName = (key) => t.sensors[key] || key;
+
+      return `
+      ${panel(`${field(t.totalOutliers, data.totalOutliers)}${field(t.ovensWithOutliers, data.ovens.length)}`)}
+      <h3>${t.summary}</h3>
+      ${table(
+        [
+          t.oven,
+          { label: t.outlierCount, align: 'center' },
+          { label: t.firstOccurrence, align: 'center' },
+          { label: t.lastOccurrence, align: 'center' },
+        ],
+        data.ovens.map((oven) => [
+          oven.oven.toUpperCase(),
+          { value: oven.count, align: 'center' },
+          { value: formatDateTime(oven.firstOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+          { value: formatDateTime(oven.lastOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+        ])
+      )}
+      <h3>${t.outlierDetails}</h3>
+      ${data.ovens
+        .map(
+          (oven) => `
+      <div style="margin: 20px 0; border: 1px solid ${COLORS.border}; border-radius: 5px; padding: 10px;">
+        <h4 style="color: ${COLORS.info}; margin-top: 0;">${t.ovenOutliers(oven.oven.toUpperCase(), oven.count)}</h4>
+        ${oven.groups
+          .map((group) => {
+            const ranges =
+              group.outlierSensors.length > 0
+                ? group.outlierSensors
+                    .map((key) => {
+                      const range = group.tempRanges[key];
+                      return range
+                        ? `${sensorName(key)}: ${range.min}°C - ${range.max}°C`
+                        : `${sensorName(key)}: ${t.notAvailable}`;
+                    })
+                    .join('<br>')
+                : t.none;
+
+            return panel(
+              `${field(t.outlierSensors, group.outlierSensors.map(sensorName).join(', ') || t.none)}
+              ${field(t.occurrences, group.count)}
+              ${field(t.firstOccurrence, formatDateTime(group.firstOccurrence, locale))}
+              ${field(t.lastOccurrence, formatDateTime(group.lastOccurrence, locale))}
+              ${field(t.temperatureRange, `<br>${ranges}`)}
+              ${details(
+                t.showExample,
+                `<h4 style="margin-top: 15px;">${t.exampleReadings(formatDateTime(group.example.timestamp, locale))}</h4>
+                ${field(t.medianTemp, `${group.example.medianTemp}°C`)}
+                ${field(t.filteredAvg, `${group.example.avgTemp}°C`)}
+                ${table(
+                  [t.sensor, t.temperature, t.status],
+                  group.example.sensors.map((sensor) => {
+                    const style = sensor.isOutlier
+                      ? `background-color: #ffebee; color: ${COLORS.danger}; font-weight: bold;`
+                      : '';
+                    return [
+                      { value: sensorName(sensor.key), style },
+                      { value: `${sensor.value}°C`, style },
+                      { value: sensor.isOutlier ? t.outlier : t.ok, style },
+                    ];
+                  })
+                )}
+                <h4 style="margin-top: 15px;">${t.activeProcesses}</h4>
+                ${processTable(group.example.processes, t, locale)}`
+              )}`,
+              'warning'
+            );
+          })
+          .join('')}
+      </div>`
+        )
+        .join('')}
+      ${panel(`<p><em>${t.outlierDefinition(data.thresholdPercent)}</em></p>`, 'warning')}`;
+    },
+  },
+
+  'missing-sensors': {
+    description: 'Hourly batch of failed oven sensor reads - sent to administrators',
+    strings,
+    titleColor: COLORS.danger,
+    sample: {
+      generatedAt: SAMPLE_TIME,
+      totalFailures: 1,
+      ovens: [
+        {
+          oven: 'tem10',
+          ip: '10.0.0.10',
+          count: 1,
+          firstOccurrence: '2025-03-21T07:20:00Z',
+          lastOccurrence: '2025-03-21T07:20:00Z',
+          entries: [
+            {
+              timestamp: '2025-03-21T07:20:00Z',
+              ip: '10.0.0.10',
+              lastSuccessfulRead: '2025-03-21T05:00:00Z',
+              errorType: 'AxiosError',
+              errorMessage: 'timeout of 5000ms exceeded',
+              processes: [
+                { hydraBatch: 'HB123', article: '28042', status: 'running', startTime: '2025-03-21T06:00:00Z' },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+    subject: (data, t, locale) =>
+      t.missingSubject(data.totalFailures, data.ovens.length, formatDateTime(data.generatedAt, locale)),
+    title: (data, t) => t.missingTitle,
+    content: (data, t, locale) => `
+      ${panel(`${field(t.totalFailedReadings, data.totalFailures)}${field(t.ovensAffected, data.ovens.length)}`, 'danger')}
+      <h3>${t.summary}</h3>
+      ${table(
+        [
+          t.oven,
+          { label: t.ipAddress, align: 'center' },
+          { label: t.failureCount, align: 'center' },
+          { label: t.firstOccurrence, align: 'center' },
+          { label: t.lastOccurrence, align: 'center' },
+        ],
+        data.ovens.map((oven) => [
+          oven.oven.toUpperCase(),
+          { value: oven.ip, align: 'center' },
+          { value: oven.count, align: 'center' },
+          { value: formatDateTime(oven.firstOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+          { value: formatDateTime(oven.lastOccurrence, locale), align: 'center', style: 'font-size: 12px;' },
+        ])
+      )}
+      <h3>${t.failureDetails}</h3>
+      ${data.ovens
+        .map(
+          (oven) => `
+      <div style="margin: 20px 0; border: 1px solid ${COLORS.danger}; border-radius: 5px; padding: 10px; background-color: #ffebee;">
+        <h4 style="color: ${COLORS.danger}; margin-top: 0;">${t.ovenFailures(oven.oven.toUpperCase(), oven.count)}</h4>
+        ${oven.entries
+          .map((entry) =>
+            panel(
+              `${field(t.time, formatDateTime(entry.timestamp, locale))}
+              ${field(t.ipAddress, entry.ip)}
+              ${field(
+                t.lastSuccessfulRead,
+                entry.lastSuccessfulRead ? formatDateTime(entry.lastSuccessfulRead, locale) : t.never
+              )}
+              ${field(t.errorType, entry.errorType || t.unknown)}
+              ${field(t.errorMessage, entry.errorMessage)}
+              ${details(
+                t.showProcesses,
+                `<h4 style="margin-top: 15px;">${t.activeProcesses}</h4>${processTable(entry.processes, t, locale, true)}`
+              )}`,
+              'plain'
+            )
+          )
+          .join('')}
+      </div>`
+        )
+        .join('')}
+      ${panel(`<p><em>${t.missingNote}</em></p>`, 'info')}`,
+  },
+
+  'pm2-error': {
+    description: 'New lines in a PM2 error log - sent to administrators',
+    strings,
+    titleColor: COLORS.danger,
+    sample: {
+      appName: 'bruss-intra',
+      timestamp: SAMPLE_TIME,
+      errorLines: ['Error: connect ECONNREFUSED 127.0.0.1:27017', '    at TCPConnectWrap.afterConnect'],
+    },
+    subject: (data, t, locale) => `[CRON PM2 ERROR] ${data.appName} - ${formatDateTime(data.timestamp, locale)}`,
+    title: (data, t) => t.pm2Title,
+    content: (data, t, locale) => `
+      ${panel(`${field(t.application, data.appName)}${field(t.time, formatDateTime(data.timestamp, locale))}`)}
+      ${panel(
+        `<p><strong>${t.recentErrorLines}:</strong></p>${pre(
+          data.errorLines.length > 0 ? data.errorLines.join('\n') : t.noErrorLines
+        )}`,
+        'danger'
+      )}`,
+  },
+};
@@ -1,17 +1,21 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { parseEmailAddresses } from './email-helper.js';
+import { renderEmail } from './email-templates/index.js';
+import { getJobRunsCollection, toExecution } from './job-run-store.js';
+import { sendEmail } from './mailer.js';
 
 dotenv.config();
 
 class ErrorCollector {
   constructor() {
+    // Failures are persisted in cron_job_runs by statusCollector; this in-memory list only
+    // holds errors that could not be written to MongoDB (e.g. database unreachable)
     this.errors = [];
     this.maxErrors = 1000; // Prevent memory overflow
   }
 
   /**
-   * Add error to collection
+   * Add error that could not be persisted to the in-memory fallback collection
    * @param {string} jobName - Name of the cron job that failed
    * @param {Error} error - The error object
    * @param {Object} context - Additional context about the error
@@ -37,19 +41,75 @@ class ErrorCollector {
   }
 
   /**
-   * Get all collected errors and clear the collection
+   * Get persisted failures that were not yet included in a batch notification
+   * @returns {Promise<Array>} Error entries (with runId)
    */
-  getAndClearErrors() {
-    const errors = [...this.errors];
+  async getPendingErrors() {
+    const coll = await getJobRunsCollection();
+    const runs = await coll
+      .find({ status: 'failure', errorNotifiedAt: null })
+      .sort({ startedAt: 1 })
+      .limit(this.maxErrors)
+      .toArray();
+
+    return runs.map(toExecution).map((run) => ({
+      runId: run._id,
+      jobName: run.jobName,
+      message: run.error?.message || 'Unknown error',
+      stack: run.error?.stack,
+      context: run.context || {},
+      timestamp: run.timestamp,
+      timestampFormatted: run.timestampFormatted,
+    }));
+  }
+
+  /**
+   * Mark persisted failures as notified
+   * @param {Array} errors - Error entries returned by getPendingErrors
+   */
+  async markErrorsNotified(errors) {
+    const runIds = errors.map((error) => error.runId).filter(Boolean);
+    if (runIds.length === 0) {
+      return;
+    }
+
+    const coll = await getJobRunsCollection();
+    await coll.updateMany(
+      { _id: { $in: runIds } },
+      { $set: { errorNotifiedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Get all pending errors (persisted and in-memory) and clear the in-memory collection
+   */
+  async getAndClearErrors() {
+    let persistedErrors = [];
+    try {
+      persistedErrors = await this.getPendingErrors();
+    } catch (error) {
+      console.error('Failed to load pending errors from job runs:', error.message);
+    }
+
+    const errors = [...persistedErrors, ...this.errors];
     this.errors = [];
     return errors;
   }
 
   /**
-   * Get errors count
+   * Get pending errors count
    */
-  getErrorsCount() {
-    return this.errors.length;
+  async getErrorsCount() {
+    try {
+      const coll = await getJobRunsCollection();
+      const persisted = await coll.countDocuments({
+        status: 'failure',
+        errorNotifiedAt: null,
+      });
+      return persisted + this.errors.length;
+    } catch (error) {
+      return this.errors.length;
+    }
   }
 
   /**
@@ -72,7 +132,7 @@ class ErrorCollector {
    * Send batch notification with all collected errors
    */
   async sendBatchNotification() {
-    const errors = this.getAndClearErrors();
+    const errors = await this.getAndClearErrors();
 
     if (errors.length === 0) {
       // Silent when no errors - no email, no console log
@@ -86,167 +146,69 @@ class ErrorCollector {
       return;
     }
 
-    const now = new Date().toLocaleString('pl-PL', {
-      timeZone: 'Europe/Warsaw',
-    });
-
     const groupedErrors = this.groupErrorsByJob(errors);
     const jobNames = Object.keys(groupedErrors);
-    const subject = `[CRON] Error Report - ${errors.length} errors in ${jobNames.length} jobs - ${now}`;
-
-    // Create summary statistics
-    const summary = jobNames.map((jobName) => {
-      const jobErrors = groupedErrors[jobName];
-      const uniqueMessages = [...new Set(jobErrors.map((e) => e.message))];
-      return {
-        jobName,
-        count: jobErrors.length,
-        uniqueErrorTypes: uniqueMessages.length,
-        firstOccurrence: jobErrors[0].timestampFormatted,
-        lastOccurrence: jobErrors[jobErrors.length - 1].timestampFormatted,
-      };
-    });
 
-    // Build HTML email
-    let html = `
-      <div style="font-family: Arial, sans-serif; max-width: 800px;">
-        <h2 style="color: #d32f2f;">Error Report - Last Hour</h2>
-        
-        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
-          <p><strong>Total Errors:</strong> ${errors.length}</p>
-          <p><strong>Jobs with Errors:</strong> ${jobNames.length}</p>
-        </div>
-
-        <h3>Summary</h3>
-        <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
-          <thead>
-            <tr style="background-color: #e0e0e0;">
-              <th style="padding: 8px; text-align: left; border: 1px solid #ccc;">Job Name</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Error Count</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Unique Types</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">First Occurrence</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Last Occurrence</th>
-            </tr>
-          </thead>
-          <tbody>
-    `;
-
-    summary.forEach((item) => {
-      html += `
-            <tr>
-              <td style="padding: 8px; border: 1px solid #ccc;">${item.jobName}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc;">${item.count}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc;">${item.uniqueErrorTypes}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc; font-size: 12px;">${item.firstOccurrence}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc; font-size: 12px;">${item.lastOccurrence}</td>
-            </tr>
-      `;
-    });
-
-    html += `
-          </tbody>
-        </table>
-
-        <h3>Error Details</h3>
-    `;
-
-    // Add detailed errors grouped by job
-    jobNames.forEach((jobName) => {
+    // Per job: summary statistics and errors grouped by message to avoid repetition
+    const jobs = jobNames.map((jobName) => {
       const jobErrors = groupedErrors[jobName];
-      const uniqueMessages = {};
+      const errorTypes = {};
 
-      // Group by error message to avoid repetition
       jobErrors.forEach((error) => {
-        const key = error.message;
-        if (!uniqueMessages[key]) {
-          uniqueMessages[key] = {
+        if (!errorTypes[error.message]) {
+          errorTypes[error.message] = {
             message: error.message,
             stack: error.stack,
             occurrences: [],
           };
         }
-        uniqueMessages[key].occurrences.push({
-          timestamp: error.timestampFormatted,
+        errorTypes[error.message].occurrences.push({
+          timestamp: error.timestamp,
           context: error.context,
         });
       });
 
-      html += `
-        <div style="margin: 20px 0; border: 1px solid #ccc; border-radius: 5px; padding: 10px;">
-          <h4 style="color: #1976d2; margin-top: 0;">${jobName} (${jobErrors.length} errors)</h4>
-      `;
-
-      Object.values(uniqueMessages).forEach((errorType) => {
-        html += `
-          <div style="background-color: #ffebee; padding: 10px; border-radius: 3px; margin: 10px 0;">
-            <p><strong>Error (${
-              errorType.occurrences.length
-            } occurrences):</strong></p>
-            <pre style="background-color: #fff; padding: 8px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto; font-size: 12px;">
-${errorType.message}
-            </pre>
-            
-            <details style="margin-top: 10px;">
-              <summary style="cursor: pointer; color: #666;">Show details</summary>
-              
-              ${
-                errorType.stack
-                  ? `
-              <p style="margin-top: 10px;"><strong>Stack trace:</strong></p>
-              <pre style="background-color: #fff; padding: 8px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto; font-size: 11px;">
-${errorType.stack}
-              </pre>
-              `
-                  : ''
-              }
-              
-              <p style="margin-top: 10px;"><strong>Occurrences:</strong></p>
-              <ul style="font-size: 12px;">
-                ${errorType.occurrences
-                  .map(
-                    (occ) => `
-                  <li>${occ.timestamp}${
-                      Object.keys(occ.context).length > 0
-                        ? ` - Context: ${JSON.stringify(occ.context)}`
-                        : ''
-                    }</li>
-                `
-                  )
-                  .join('')}
-              </ul>
-            </details>
-          </div>
-        `;
-      });
-
-      html += `
-        </div>
-      `;
+      return {
+        jobName,
+        count: jobErrors.length,
+        uniqueErrorTypes: Object.keys(errorTypes).length,
+        firstOccurrence: jobErrors[0].timestamp,
+        lastOccurrence: jobErrors[jobErrors.length - 1].timestamp,
+        errorTypes: Object.values(errorTypes),
+      };
     });
 
-    html += `
-      </div>
-    `;
-
-    try {
-      const emailAddresses = parseEmailAddresses(adminEmail);
-      await axios.post(`${process.env.API_URL}/mailer`, {
-        to: emailAddresses.join(','),
-        subject,
-        html,
-      });
+    const { subject, html } = renderEmail(
+      'error-report',
+      { generatedAt: new Date(), totalErrors: errors.length, jobs },
+      { locale: process.env.ADMIN_EMAIL_LOCALE }
+    );
+
+    const emailAddresses = parseEmailAddresses(adminEmail);
+    const sendResult = await sendEmail(
+      { to: emailAddresses, subject, html },
+      { module: 'error-report', template: 'error-report' }
+    );
+    if (sendResult.success) {
+      try {
+        await this.markErrorsNotified(errors);
+      } catch (markError) {
+        console.error('Failed to mark errors as notified:', markError.message);
+      }
       console.log(
         `Batch error notification sent: ${errors.length} errors from ${jobNames.length} jobs to ${emailAddresses.length} recipient(s)`
       );
-    } catch (sendError) {
+    } else {
       console.error(
         'Failed to send batch error notification:',
-        sendError.message
+        sendResult.error
       );
-      // Store errors back if sending failed
-      errors.forEach((error) => {
-        this.errors.push(error);
-      });
+      // Store in-memory errors back if sending failed (persisted ones stay pending)
+      errors
+        .filter((error) => !error.runId)
+        .forEach((error) => {
+          this.errors.push(error);
+        });
     }
   }
 }
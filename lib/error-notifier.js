@@ -1,8 +1,11 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { errorCollector } from './error-collector.js';
 import { statusCollector } from './status-collector.js';
 import { parseEmailAddresses } from './email-helper.js';
+import { renderEmail } from './email-templates/index.js';
+import { sendEmail } from './mailer.js';
+import { recordJobRun } from './metrics.js';
+import { loadWorkingCalendar } from './working-calendar.js';
 
 dotenv.config();
 
@@ -20,81 +23,66 @@ export async function notifyAdminAboutError(jobName, error, context = {}) {
     return;
   }
 
-  const timestamp = new Date().toLocaleString('pl-PL', {
-    timeZone: 'Europe/Warsaw',
-  });
-
-  const subject = `[CRON ERROR] ${jobName} - ${timestamp}`;
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px;">
-      <h2 style="color: #d32f2f;">Błąd w zadaniu cron</h2>
-      
-      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <p><strong>Zadanie:</strong> ${jobName}</p>
-        <p><strong>Czas:</strong> ${timestamp}</p>
-      </div>
-
-      <div style="background-color: #ffebee; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <p><strong>Błąd:</strong></p>
-        <pre style="background-color: #fff; padding: 10px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto;">
-${error.message || 'Unknown error'}
-        </pre>
-        
-        ${
-          error.stack
-            ? `
-        <p><strong>Stack trace:</strong></p>
-        <pre style="background-color: #fff; padding: 10px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto; font-size: 12px;">
-${error.stack}
-        </pre>
-        `
-            : ''
-        }
-      </div>
-
-      ${
-        Object.keys(context).length > 0
-          ? `
-      <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <p><strong>Kontekst:</strong></p>
-        <pre style="background-color: #fff; padding: 10px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto;">
-${JSON.stringify(context, null, 2)}
-        </pre>
-      </div>
-      `
-          : ''
-      }
-    </div>
-  `;
+  const { subject, html } = renderEmail(
+    'job-error',
+    {
+      jobName,
+      timestamp: new Date(),
+      message: error.message,
+      stack: error.stack,
+      context,
+    },
+    { locale: process.env.ADMIN_EMAIL_LOCALE }
+  );
 
-  try {
-    const emailAddresses = parseEmailAddresses(adminEmail);
-    await axios.post(`${process.env.API_URL}/mailer`, {
-      to: emailAddresses.join(','),
-      subject,
-      html,
-    });
+  const emailAddresses = parseEmailAddresses(adminEmail);
+  const sendResult = await sendEmail(
+    { to: emailAddresses, subject, html },
+    { module: 'error-notifier', template: 'job-error' }
+  );
+  if (sendResult.success) {
     console.log(`Admin notification sent for error in ${jobName} to ${emailAddresses.length} recipient(s)`);
-  } catch (sendError) {
+  } else {
     console.error(
       `Failed to send admin notification for ${jobName}:`,
-      sendError.message
+      sendResult.error
     );
   }
 }
 
+// Concurrency policies for overlapping runs of the same job:
+// - skip: do not start while the previous run is still in progress (recorded as skipped)
+// - queue: wait for the previous run to finish, then run
+// - allow: run in parallel
+export const CONCURRENCY_POLICIES = ['skip', 'queue', 'allow'];
+export const DEFAULT_CONCURRENCY = 'skip';
+
+// Per-job run state: number of active (running or queued) runs and the tail of the queue
+const jobRuns = new Map();
+
 /**
- * Wrapper function to execute cron job with status tracking, error handling and notifications
+ * Get number of active (running or queued) runs of a job
+ * @param {string} jobName - Name of the cron job
+ * @returns {number}
+ */
+export function getActiveRunCount(jobName) {
+  return jobRuns.get(jobName)?.active || 0;
+}
+
+/**
+ * Run a job and record its outcome in the collectors
  * @param {string} jobName - Name of the cron job
  * @param {Function} jobFunction - The actual job function to execute
  */
-export async function executeJobWithStatusTracking(jobName, jobFunction) {
+async function runJob(jobName, jobFunction) {
+  const run = await statusCollector.startExecution(jobName);
+
   try {
     const result = await jobFunction();
 
     // Track successful execution
-    statusCollector.addSuccess(jobName, result);
+    recordJobRun(jobName, 'success', Date.now() - run.startedAt);
+    await statusCollector.addSuccess(jobName, result, run);
 
     return result;
   } catch (error) {
@@ -102,13 +90,72 @@ export async function executeJobWithStatusTracking(jobName, jobFunction) {
     // Pass error context if available
     const context = error.context || {};
 
-    // Add error to collector for batch notification
-    errorCollector.addError(jobName, error, context);
+    // Track failed execution (persisted failures are picked up by the batch notification)
+    recordJobRun(jobName, 'failure', Date.now() - run.startedAt);
+    const persisted = await statusCollector.addFailure(jobName, error, context, run);
 
-    // Track failed execution
-    statusCollector.addFailure(jobName, error, context);
+    // Keep error in memory for batch notification if it could not be persisted
+    if (!persisted) {
+      errorCollector.addError(jobName, error, context);
+    }
 
     // Re-throw to maintain original error behavior
     throw error;
   }
 }
+
+/**
+ * Wrapper function to execute cron job with status tracking, error handling and notifications
+ * @param {string} jobName - Name of the cron job
+ * @param {Function} jobFunction - The actual job function to execute
+ * @param {Object} options - Execution options
+ * @param {string} options.concurrency - Overlap policy: 'skip', 'queue' or 'allow'
+ * @param {boolean} options.workingDaysOnly - Skip on weekends, public holidays and plant closures
+ */
+export async function executeJobWithStatusTracking(
+  jobName,
+  jobFunction,
+  { concurrency = DEFAULT_CONCURRENCY, workingDaysOnly = false } = {}
+) {
+  if (workingDaysOnly) {
+    const calendar = await loadWorkingCalendar({ since: new Date() });
+    const nonWorkingReason = calendar.getNonWorkingReason();
+    if (nonWorkingReason) {
+      console.log(`Skipping ${jobName} - non-working day (${nonWorkingReason})`);
+      recordJobRun(jobName, 'skipped');
+      await statusCollector.addSkipped(jobName, `Non-working day (${nonWorkingReason})`);
+      return;
+    }
+  }
+
+  if (!jobRuns.has(jobName)) {
+    jobRuns.set(jobName, { active: 0, tail: Promise.resolve() });
+  }
+  const state = jobRuns.get(jobName);
+
+  if (state.active > 0 && concurrency === 'skip') {
+    console.warn(`Skipping ${jobName} - previous execution is still running`);
+    recordJobRun(jobName, 'skipped');
+    await statusCollector.addSkipped(jobName, 'Previous execution still running');
+    return;
+  }
+
+  let run;
+  if (state.active > 0 && concurrency === 'queue') {
+    console.log(
+      `Queueing ${jobName} - waiting for ${state.active} previous execution(s) to finish`
+    );
+    run = state.tail.then(() => runJob(jobName, jobFunction));
+  } else {
+    run = runJob(jobName, jobFunction);
+  }
+
+  state.active++;
+  state.tail = run.catch(() => {});
+
+  try {
+    return await run;
+  } finally {
+    state.active--;
+  }
+}
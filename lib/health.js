@@ -0,0 +1,262 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import sql from 'mssql';
+import cron from 'node-cron';
+import { getR2platnikSqlConfig } from '../sync/r2platnik-employees.js';
+import { jobRegistry } from './job-registry.js';
+import { getJobRunsCollection } from './job-run-store.js';
+import client from './mongo.js';
+
+dotenv.config();
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000');
+const HEARTBEAT_STALE_MS = 3 * 60 * 1000; // Heartbeat ticks every minute
+
+let lastHeartbeatAt = null;
+let heartbeatTask = null;
+
+/**
+ * Start a node-cron task ticking every minute to prove the scheduler loop is alive
+ */
+export function startSchedulerHeartbeat() {
+  if (heartbeatTask) {
+    return;
+  }
+  lastHeartbeatAt = new Date();
+  heartbeatTask = cron.schedule('* * * * *', () => {
+    lastHeartbeatAt = new Date();
+  });
+}
+
+/**
+ * Run a check with timeout and convert its outcome to a structured status
+ * @param {Function} check - Async function returning extra details (or throwing)
+ * @returns {Promise<{status: string, latencyMs: number, error?: string}>}
+ */
+async function runCheck(check) {
+  const start = Date.now();
+  let timer;
+
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)),
+        CHECK_TIMEOUT_MS
+      );
+    });
+    const details = await Promise.race([check(), timeout]);
+    return { status: 'ok', latencyMs: Date.now() - start, ...details };
+  } catch (error) {
+    return {
+      status: 'fail',
+      latencyMs: Date.now() - start,
+      error: error.message || 'Unknown error',
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Scheduler loop - heartbeat task must have ticked recently
+ */
+export function checkScheduler() {
+  const ageMs = lastHeartbeatAt ? Date.now() - lastHeartbeatAt.getTime() : null;
+  const alive = ageMs !== null && ageMs <= HEARTBEAT_STALE_MS;
+
+  return {
+    status: alive ? 'ok' : 'fail',
+    lastHeartbeatAt: lastHeartbeatAt ? lastHeartbeatAt.toISOString() : null,
+    scheduledJobs: jobRegistry.tasks.size,
+    ...(alive ? {} : { error: 'Scheduler heartbeat is stale' }),
+  };
+}
+
+/**
+ * MongoDB - ping through the shared lib/mongo.js client
+ */
+export function checkMongo() {
+  return runCheck(async () => {
+    await client.db().command({ ping: 1 });
+    return {};
+  });
+}
+
+/**
+ * Mailer API - any HTTP response below 500 means the API is up
+ * (the mailer endpoint itself is not called to avoid sending emails)
+ */
+export function checkMailer() {
+  return runCheck(async () => {
+    if (!process.env.API_URL) {
+      throw new Error('API_URL is not configured');
+    }
+    const response = await axios.get(process.env.API_URL, {
+      timeout: CHECK_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    if (response.status >= 500) {
+      throw new Error(`API responded with status ${response.status}`);
+    }
+    return { httpStatus: response.status };
+  });
+}
+
+/**
+ * LDAP - bind with the sync credentials
+ */
+export function checkLdap() {
+  if (!process.env.LDAP) {
+    return { status: 'skipped', error: 'LDAP is not configured' };
+  }
+
+  return runCheck(async () => {
+    const LdapClientModule = await import('ldapjs-client');
+    const LdapClient = LdapClientModule.default || LdapClientModule;
+    const ldapClient = new LdapClient({
+      url: process.env.LDAP,
+      timeout: CHECK_TIMEOUT_MS,
+      connectTimeout: CHECK_TIMEOUT_MS,
+    });
+
+    try {
+      await ldapClient.bind(process.env.LDAP_DN, process.env.LDAP_PASS);
+    } finally {
+      try {
+        await ldapClient.unbind();
+      } catch {
+        // Connection may already be closed
+      }
+    }
+    return {};
+  });
+}
+
+/**
+ * R2platnik SQL Server - open and close a dedicated connection pool
+ * (the global mssql pool is used by syncR2platnikEmployees)
+ */
+export function checkSql() {
+  if (!process.env.R2PLATNIK_SQL_SERVER) {
+    return { status: 'skipped', error: 'R2PLATNIK_SQL_SERVER is not configured' };
+  }
+
+  return runCheck(async () => {
+    const pool = new sql.ConnectionPool({
+      ...getR2platnikSqlConfig(),
+      connectionTimeout: CHECK_TIMEOUT_MS,
+    });
+    try {
+      await pool.connect();
+      await pool.request().query('SELECT 1');
+    } finally {
+      await pool.close();
+    }
+    return {};
+  });
+}
+
+/**
+ * Last run and last successful run of each tracked job
+ * A job fails the check when its most recent completed run failed
+ */
+export async function checkJobs() {
+  const result = await runCheck(async () => {
+    const coll = await getJobRunsCollection();
+    const lastRuns = await coll
+      .aggregate([
+        { $match: { status: { $in: ['success', 'failure'] } } },
+        { $sort: { startedAt: -1 } },
+        {
+          $group: {
+            _id: '$jobName',
+            lastStatus: { $first: '$status' },
+            lastRunAt: { $first: '$endedAt' },
+            lastSuccessAt: {
+              $max: { $cond: [{ $eq: ['$status', 'success'] }, '$endedAt', null] },
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    const runsByJob = new Map(lastRuns.map((run) => [run._id, run]));
+    const jobs = {};
+
+    for (const job of jobRegistry.getJobs()) {
+      if (!job.trackStatus) continue;
+
+      const run = runsByJob.get(job.name);
+      jobs[job.name] = {
+        status: !run ? 'unknown' : run.lastStatus === 'success' ? 'ok' : 'fail',
+        lastRunAt: run?.lastRunAt || null,
+        lastSuccessAt: run?.lastSuccessAt || null,
+      };
+    }
+
+    return { jobs };
+  });
+
+  if (result.status === 'ok') {
+    const failing = Object.entries(result.jobs)
+      .filter(([, job]) => job.status === 'fail')
+      .map(([name]) => name);
+    if (failing.length > 0) {
+      result.status = 'fail';
+      result.error = `Last run failed: ${failing.join(', ')}`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Combine check results into an overall status
+ * Critical checks failing -> 'fail', other checks failing -> 'degraded'
+ * @param {Object} checks - Check results keyed by name
+ * @param {string[]} critical - Names of critical checks
+ */
+function aggregateStatus(checks, critical) {
+  const failed = Object.entries(checks)
+    .filter(([, check]) => check.status === 'fail')
+    .map(([name]) => name);
+
+  if (failed.some((name) => critical.includes(name))) {
+    return 'fail';
+  }
+  return failed.length > 0 ? 'degraded' : 'ok';
+}
+
+/**
+ * Liveness - process is up and the scheduler loop is ticking
+ */
+export function getLiveness() {
+  const checks = { scheduler: checkScheduler() };
+
+  return {
+    status: aggregateStatus(checks, ['scheduler']),
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+    checks,
+  };
+}
+
+/**
+ * Readiness - scheduler, MongoDB and mailer are required; LDAP, SQL and job results degrade only
+ */
+export async function getReadiness() {
+  const [mongo, mailer, ldap, sqlServer, jobs] = await Promise.all([
+    checkMongo(),
+    checkMailer(),
+    checkLdap(),
+    checkSql(),
+    checkJobs(),
+  ]);
+  const checks = { scheduler: checkScheduler(), mongo, mailer, ldap, sql: sqlServer, jobs };
+
+  return {
+    status: aggregateStatus(checks, ['scheduler', 'mongo', 'mailer']),
+    timestamp: new Date().toISOString(),
+    checks,
+  };
+}
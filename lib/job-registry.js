@@ -0,0 +1,443 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import cron from 'node-cron';
+import { getNextRunTime } from './cron-schedule.js';
+import {
+  CONCURRENCY_POLICIES,
+  DEFAULT_CONCURRENCY,
+  executeJobWithStatusTracking,
+  getActiveRunCount,
+} from './error-notifier.js';
+import { dbc } from './mongo.js';
+
+dotenv.config();
+
+const DEFAULT_TIMEZONE = process.env.CRON_TIMEZONE || 'Europe/Warsaw';
+const JOB_CONFIGS_COLLECTION = 'cron_job_configs';
+
+// Fields that may be changed from the config file or Mongo collection
+const OVERRIDABLE_FIELDS = [
+  'schedule',
+  'timezone',
+  'enabled',
+  'description',
+  'concurrency',
+  'paused',
+  'workingDaysOnly',
+];
+
+/**
+ * Whether a value is a plain object (not null, an array or a primitive)
+ * @param {*} value - Value to check
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a timezone name is known to Intl (node-cron throws on unknown timezones)
+ * @param {*} timezone - Timezone name
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+class JobRegistry {
+  constructor() {
+    this.jobs = new Map();
+    this.tasks = new Map();
+  }
+
+  /**
+   * Declare a job
+   * @param {Object} definition - Job definition
+   * @param {string} definition.name - Unique job name (used in status reports)
+   * @param {string} definition.schedule - Cron expression
+   * @param {Function} definition.handler - Job function to execute
+   * @param {string} [definition.timezone] - Timezone the schedule is evaluated in
+   * @param {boolean} [definition.enabled] - Whether the job should be scheduled
+   * @param {boolean} [definition.paused] - Temporarily paused (set through the admin API)
+   * @param {string} [definition.description] - Human-readable description
+   * @param {string} [definition.concurrency] - Overlap policy: 'skip', 'queue' or 'allow' (default 'skip')
+   * @param {boolean} [definition.trackStatus] - Wrap with executeJobWithStatusTracking (default true)
+   * @param {boolean} [definition.workingDaysOnly] - Skip scheduled runs on non-working days
+   * (weekends, public holidays, plant closures - see lib/working-calendar.js)
+   */
+  register(definition) {
+    const { name, schedule, handler } = definition;
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error(`Invalid job definition: ${name || '(unnamed)'}`);
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for job "${name}": ${schedule}`);
+    }
+    if (definition.timezone !== undefined && !isValidTimezone(definition.timezone)) {
+      throw new Error(`Invalid timezone for job "${name}": ${definition.timezone}`);
+    }
+    if (
+      definition.concurrency !== undefined &&
+      !CONCURRENCY_POLICIES.includes(definition.concurrency)
+    ) {
+      throw new Error(
+        `Invalid concurrency policy for job "${name}": ${definition.concurrency}`
+      );
+    }
+
+    const job = {
+      timezone: DEFAULT_TIMEZONE,
+      enabled: true,
+      paused: false,
+      description: '',
+      trackStatus: true,
+      concurrency: DEFAULT_CONCURRENCY,
+      workingDaysOnly: false,
+      ...definition,
+    };
+    job.defaults = {
+      schedule: job.schedule,
+      timezone: job.timezone,
+      enabled: job.enabled,
+      paused: job.paused,
+      description: job.description,
+      concurrency: job.concurrency,
+      workingDaysOnly: job.workingDaysOnly,
+    };
+
+    this.jobs.set(name, job);
+    return job;
+  }
+
+  /**
+   * Declare multiple jobs at once
+   * @param {Object[]} definitions - Array of job definitions
+   */
+  registerAll(definitions) {
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  /**
+   * Get a registered job by name
+   * @param {string} name - Job name
+   * @returns {Object|undefined}
+   */
+  getJob(name) {
+    return this.jobs.get(name);
+  }
+
+  /**
+   * Get all registered jobs
+   * @returns {Object[]}
+   */
+  getJobs() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Apply overrides to registered jobs, ignoring unknown jobs and invalid values
+   * @param {Object} overrides - Map of job name to overridden fields
+   * @param {string} source - Where the overrides came from (for logging)
+   */
+  applyOverrides(overrides, source) {
+    if (!isPlainObject(overrides)) {
+      console.warn(`Job overrides from ${source} ignored - expected an object keyed by job name`);
+      return;
+    }
+
+    for (const [name, override] of Object.entries(overrides)) {
+      const job = this.jobs.get(name);
+      if (!job) {
+        console.warn(`Job override from ${source} ignored - unknown job: ${name}`);
+        continue;
+      }
+      if (!isPlainObject(override)) {
+        console.warn(`Job override from ${source} ignored - expected an object for ${name}`);
+        continue;
+      }
+
+      for (const field of OVERRIDABLE_FIELDS) {
+        if (override[field] === undefined || override[field] === null) continue;
+
+        if (field === 'schedule' && !cron.validate(override.schedule)) {
+          console.warn(
+            `Job override from ${source} ignored - invalid schedule for ${name}: ${override.schedule}`
+          );
+          continue;
+        }
+        if (field === 'timezone' && !isValidTimezone(override.timezone)) {
+          console.warn(
+            `Job override from ${source} ignored - invalid timezone for ${name}: ${override.timezone}`
+          );
+          continue;
+        }
+        if (
+          (field === 'enabled' || field === 'paused' || field === 'workingDaysOnly') &&
+          typeof override[field] !== 'boolean'
+        ) {
+          console.warn(
+            `Job override from ${source} ignored - "${field}" must be boolean for ${name}`
+          );
+          continue;
+        }
+        if (
+          field === 'concurrency' &&
+          !CONCURRENCY_POLICIES.includes(override.concurrency)
+        ) {
+          console.warn(
+            `Job override from ${source} ignored - invalid concurrency policy for ${name}: ${override.concurrency}`
+          );
+          continue;
+        }
+
+        job[field] = override[field];
+      }
+    }
+  }
+
+  /**
+   * Read overrides from the JSON file pointed to by JOB_CONFIG_PATH
+   * File format: { "jobName": { "schedule": "...", "enabled": false }, ... }
+   * @returns {Object} Overrides keyed by job name
+   */
+  readFileOverrides() {
+    const configPath = process.env.JOB_CONFIG_PATH;
+    if (!configPath) {
+      return {};
+    }
+
+    if (!fs.existsSync(configPath)) {
+      console.warn(`Job config file not found: ${configPath}`);
+      return {};
+    }
+
+    try {
+      const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (!isPlainObject(overrides)) {
+        console.error(
+          `Job config file ${configPath} ignored - expected an object keyed by job name`
+        );
+        return {};
+      }
+      return overrides;
+    } catch (error) {
+      console.error(`Failed to parse job config file ${configPath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Read overrides from the cron_job_configs collection
+   * Document format: { name: "jobName", schedule?, timezone?, enabled?, description?, concurrency?, paused?, workingDaysOnly? }
+   * @returns {Promise<Object>} Overrides keyed by job name
+   */
+  async readDbOverrides() {
+    try {
+      const coll = await dbc(JOB_CONFIGS_COLLECTION);
+      const configs = await coll.find({}).toArray();
+
+      const overrides = {};
+      for (const config of configs) {
+        if (config.name) {
+          overrides[config.name] = config;
+        }
+      }
+      return overrides;
+    } catch (error) {
+      console.error(
+        `Failed to load job overrides from ${JOB_CONFIGS_COLLECTION}:`,
+        error.message
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Reset jobs to their declared values and apply file, then Mongo overrides
+   * (Mongo takes precedence over the file)
+   */
+  async loadOverrides() {
+    for (const job of this.jobs.values()) {
+      Object.assign(job, job.defaults);
+    }
+
+    this.applyOverrides(this.readFileOverrides(), 'config file');
+    this.applyOverrides(await this.readDbOverrides(), JOB_CONFIGS_COLLECTION);
+  }
+
+  /**
+   * Build the function executed by node-cron for a job
+   * @param {Object} job - Registered job
+   * @param {Object} options - Runner options
+   * @param {boolean} [options.manual] - Manual trigger, runs on non-working days too
+   */
+  createRunner(job, { manual = false } = {}) {
+    if (!job.trackStatus) {
+      return () => job.handler();
+    }
+    return () =>
+      executeJobWithStatusTracking(job.name, job.handler, {
+        concurrency: job.concurrency,
+        workingDaysOnly: job.workingDaysOnly && !manual,
+      });
+  }
+
+  /**
+   * Schedule a single job, replacing any previously scheduled task
+   * @param {Object} job - Registered job
+   */
+  scheduleJob(job) {
+    this.unscheduleJob(job.name);
+
+    if (!job.enabled || job.paused) {
+      return;
+    }
+
+    const task = cron.schedule(job.schedule, this.createRunner(job), {
+      timezone: job.timezone,
+    });
+    this.tasks.set(job.name, task);
+  }
+
+  /**
+   * Stop the scheduled task of a job, if any
+   * @param {string} name - Job name
+   */
+  unscheduleJob(name) {
+    const task = this.tasks.get(name);
+    if (task) {
+      task.stop();
+      this.tasks.delete(name);
+    }
+  }
+
+  /**
+   * Schedule all enabled jobs
+   */
+  scheduleAll() {
+    for (const job of this.jobs.values()) {
+      this.scheduleJob(job);
+    }
+
+    const scheduled = this.tasks.size;
+    console.log(
+      `Job registry -> scheduled ${scheduled} of ${this.jobs.size} jobs at ${new Date().toLocaleString()}`
+    );
+  }
+
+  /**
+   * Reload overrides and reschedule all jobs (picks up schedule changes without restart)
+   */
+  async reload() {
+    await this.loadOverrides();
+    this.scheduleAll();
+  }
+
+  /**
+   * Get a registered job or throw if it does not exist
+   * @param {string} name - Job name
+   * @returns {Object}
+   */
+  requireJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      const error = new Error(`Unknown job: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+    return job;
+  }
+
+  /**
+   * Get runtime state of a job (schedule, next run, active runs)
+   * @param {Object} job - Registered job
+   * @returns {Object}
+   */
+  describeJob(job) {
+    const scheduled = this.tasks.has(job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: job.timezone,
+      enabled: job.enabled,
+      paused: job.paused,
+      concurrency: job.concurrency,
+      workingDaysOnly: job.workingDaysOnly,
+      scheduled,
+      activeRuns: getActiveRunCount(job.name),
+      nextRunAt: scheduled ? getNextRunTime(job.schedule, job.timezone) : null,
+    };
+  }
+
+  /**
+   * Persist paused state in cron_job_configs so it survives restarts
+   * @param {string} name - Job name
+   * @param {boolean} paused - Paused state
+   */
+  async savePausedState(name, paused) {
+    try {
+      const coll = await dbc(JOB_CONFIGS_COLLECTION);
+      await coll.updateOne(
+        { name },
+        { $set: { paused, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(
+        `Failed to persist paused state of ${name} in ${JOB_CONFIGS_COLLECTION}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Pause a job - stops its schedule until resumed
+   * @param {string} name - Job name
+   */
+  async pauseJob(name) {
+    const job = this.requireJob(name);
+    job.paused = true;
+    this.unscheduleJob(name);
+    await this.savePausedState(name, true);
+    console.log(`Job ${name} paused at ${new Date().toLocaleString()}`);
+    return job;
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} name - Job name
+   */
+  async resumeJob(name) {
+    const job = this.requireJob(name);
+    job.paused = false;
+    this.scheduleJob(job);
+    await this.savePausedState(name, false);
+    console.log(`Job ${name} resumed at ${new Date().toLocaleString()}`);
+    return job;
+  }
+
+  /**
+   * Start a job outside its schedule (runs in background, honours concurrency policy)
+   * @param {string} name - Job name
+   * @returns {Promise} Resolves when the run finishes
+   */
+  triggerJob(name) {
+    const job = this.requireJob(name);
+    console.log(`Job ${name} triggered manually at ${new Date().toLocaleString()}`);
+    return this.createRunner(job, { manual: true })();
+  }
+}
+
+// Create singleton instance
+export const jobRegistry = new JobRegistry();
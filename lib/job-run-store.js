@@ -0,0 +1,132 @@
+import dotenv from 'dotenv';
+import { dbc, getDb } from './mongo.js';
+
+dotenv.config();
+
+export const JOB_RUNS_COLLECTION = 'cron_job_runs';
+const CRON_STATE_COLLECTION = 'cron_state';
+
+// Job runs older than this are removed by the MongoDB TTL monitor
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || '30');
+const TTL_INDEX_NAME = 'startedAt_ttl';
+
+let indexesEnsured = false;
+
+/**
+ * Create indexes for the job runs collection (TTL retention and report queries)
+ * Updates the TTL in place if JOB_RUN_RETENTION_DAYS has changed
+ * @param {Collection} coll - Job runs collection
+ */
+async function ensureJobRunIndexes(coll) {
+  const expireAfterSeconds = RETENTION_DAYS * 24 * 60 * 60;
+
+  try {
+    await coll.createIndex(
+      { startedAt: 1 },
+      { name: TTL_INDEX_NAME, expireAfterSeconds }
+    );
+  } catch (error) {
+    // IndexOptionsConflict - TTL index exists with a different retention
+    if (error.code !== 85) {
+      throw error;
+    }
+    const db = await getDb();
+    await db.command({
+      collMod: JOB_RUNS_COLLECTION,
+      index: { name: TTL_INDEX_NAME, expireAfterSeconds },
+    });
+    console.log(`Updated ${JOB_RUNS_COLLECTION} retention to ${RETENTION_DAYS} days`);
+  }
+
+  await coll.createIndex({ jobName: 1, startedAt: -1 });
+  await coll.createIndex({ status: 1, errorNotifiedAt: 1 });
+}
+
+/**
+ * Get job runs collection, creating its indexes on first use
+ * @returns {Promise<Collection>}
+ */
+export async function getJobRunsCollection() {
+  const coll = await dbc(JOB_RUNS_COLLECTION);
+
+  if (!indexesEnsured) {
+    try {
+      await ensureJobRunIndexes(coll);
+      indexesEnsured = true;
+    } catch (error) {
+      console.error(`Failed to create ${JOB_RUNS_COLLECTION} indexes:`, error.message);
+    }
+  }
+
+  return coll;
+}
+
+/**
+ * Read a persisted cron state value (e.g. when the last status summary was sent)
+ * @param {string} key - State key
+ * @returns {Promise<*>} Stored value or null
+ */
+export async function getCronState(key) {
+  const coll = await dbc(CRON_STATE_COLLECTION);
+  const doc = await coll.findOne({ _id: key });
+  return doc ? doc.value : null;
+}
+
+/**
+ * Persist a cron state value
+ * @param {string} key - State key
+ * @param {*} value - Value to store
+ */
+export async function setCronState(key, value) {
+  const coll = await dbc(CRON_STATE_COLLECTION);
+  await coll.updateOne(
+    { _id: key },
+    { $set: { value, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Convert a job run document to the execution shape used in reports
+ * @param {Object} doc - cron_job_runs document
+ * @returns {Object}
+ */
+export function toExecution(doc) {
+  const timestamp = doc.endedAt || doc.startedAt;
+  return {
+    ...doc,
+    timestamp: timestamp.toISOString(),
+    timestampFormatted: timestamp.toLocaleString('pl-PL', {
+      timeZone: 'Europe/Warsaw',
+    }),
+  };
+}
+
+/**
+ * Mark runs left in 'running' state by a previous process (crash or PM2 restart) as failed
+ * @returns {Promise<number>} Number of interrupted runs
+ */
+export async function markInterruptedRuns() {
+  const coll = await getJobRunsCollection();
+  const endedAt = new Date();
+  const result = await coll.updateMany(
+    { status: 'running' },
+    [
+      {
+        $set: {
+          status: 'failure',
+          endedAt,
+          durationMs: { $subtract: [endedAt, '$startedAt'] },
+          error: { message: 'Execution interrupted by service restart' },
+          context: { $literal: {} },
+          errorNotifiedAt: null,
+        },
+      },
+    ]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} interrupted job run(s) as failed`);
+  }
+  return result.modifiedCount;
+}
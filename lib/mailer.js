@@ -0,0 +1,155 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { logEmail } from './email-log.js';
+import { recordEmail } from './metrics.js';
+
+dotenv.config();
+
+// Mailer configuration
+const MAX_RETRIES = parseInt(process.env.MAILER_MAX_RETRIES || '3'); // Retries after the first attempt
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MAILER_RETRY_BASE_DELAY_MS || '1000'); // Doubled on every retry
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.MAILER_RATE_LIMIT_PER_MINUTE || '30');
+const REQUEST_TIMEOUT_MS = 30000;
+
+const MIN_SEND_INTERVAL_MS =
+  RATE_LIMIT_PER_MINUTE > 0 ? Math.ceil(60000 / RATE_LIMIT_PER_MINUTE) : 0;
+
+// Time the next email may be sent (shared by all modules to respect the rate limit)
+let nextSendAt = 0;
+
+/**
+ * Whether emails are only logged instead of sent (MAILER_DRY_RUN=true)
+ */
+export function isDryRun() {
+  return process.env.MAILER_DRY_RUN === 'true';
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until the rate limit allows the next email
+ * Slots are reserved synchronously, so concurrent callers are spaced out too
+ */
+async function waitForSendSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSendAt);
+  nextSendAt = slot + MIN_SEND_INTERVAL_MS;
+
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Server errors and network errors (no response) are worth retrying, client errors are not
+ * @param {Error} error - Axios error
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === undefined || status >= 500;
+}
+
+/**
+ * Send an email through the mailer API (POST ${API_URL}/mailer)
+ * Every outcome is recorded in the email log (cron_email_log)
+ * Never throws - the outcome is reported in the returned result
+ * @param {Object} email - Email to send
+ * @param {string|string[]} email.to - Recipient address(es)
+ * @param {string} email.subject - Subject line
+ * @param {string} email.html - HTML body
+ * @param {Array<{filename: string, content: string, encoding: string}>} [email.attachments] -
+ * Attachments passed to the mailer API (content base64 encoded, encoding 'base64')
+ * @param {Object} options - Send options
+ * @param {string} options.module - Sending module, used in logs and metrics
+ * @param {string} [options.template] - Notification type, stored in the email log
+ * @param {*} [options.entityId] - Related entity id, stored in the email log
+ * @param {string} [options.dedupKey] - Key used by wasEmailSentToday() to skip repeated sends
+ * @returns {Promise<{success: boolean, to: string, attempts: number, dryRun?: boolean, error?: string, status?: number}>}
+ */
+export async function sendEmail(
+  { to, subject, html, attachments },
+  { module = 'cron', template, entityId, dedupKey } = {}
+) {
+  const recipients = Array.isArray(to) ? to.join(',') : to;
+
+  if (!recipients) {
+    return { success: false, to: recipients, attempts: 0, error: 'No recipients' };
+  }
+
+  const log = (status, result) =>
+    logEmail({
+      module,
+      template,
+      recipients: recipients.split(',').map((address) => address.trim()),
+      subject,
+      entityId,
+      dedupKey,
+      status,
+      attempts: result.attempts,
+      error: result.error,
+    });
+
+  if (isDryRun()) {
+    console.log(`[DRY RUN] ${module} -> To: ${recipients} | Subject: ${subject}`);
+    const result = { success: true, to: recipients, attempts: 0, dryRun: true };
+    await log('dry-run', result);
+    return result;
+  }
+
+  if (!process.env.API_URL) {
+    recordEmail(module, false);
+    const result = {
+      success: false,
+      to: recipients,
+      attempts: 0,
+      error: 'API_URL is not configured in environment variables',
+    };
+    await log('failed', result);
+    return result;
+  }
+
+  let attempts = 0;
+  let lastError;
+
+  while (attempts <= MAX_RETRIES) {
+    attempts++;
+    await waitForSendSlot();
+
+    try {
+      await axios.post(
+        `${process.env.API_URL}/mailer`,
+        { to: recipients, subject, html, ...(attachments?.length && { attachments }) },
+        { timeout: REQUEST_TIMEOUT_MS }
+      );
+      recordEmail(module, true);
+      const result = { success: true, to: recipients, attempts };
+      await log('sent', result);
+      return result;
+    } catch (error) {
+      lastError = error;
+
+      if (!isRetryable(error) || attempts > MAX_RETRIES) {
+        break;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+      console.warn(
+        `${module} -> email to ${recipients} failed (${error.message}), retrying in ${delay}ms (attempt ${attempts}/${MAX_RETRIES + 1})`
+      );
+      await sleep(delay);
+    }
+  }
+
+  recordEmail(module, false);
+  const result = {
+    success: false,
+    to: recipients,
+    attempts,
+    status: lastError.response?.status,
+    error: lastError.message,
+  };
+  await log('failed', result);
+  return result;
+}
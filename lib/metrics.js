@@ -0,0 +1,218 @@
+/**
+ * In-process metrics exported in Prometheus text format (GET /metrics)
+ * Values live in memory and reset on restart, as expected by Prometheus counters
+ */
+
+// Duration buckets in seconds - from minute jobs (oven logging) up to archiving runs
+const DURATION_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 3600];
+
+/**
+ * Escape label value per Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Format labels as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(',')}}`;
+}
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  /**
+   * Get or create series for the given labels
+   * @param {Object} labels - Label values
+   * @param {Function} init - Creates initial series state
+   */
+  getSeries(labels, init) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...init() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSeries(),
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(
+      (series) => `${this.name}${formatLabels(series.labels)} ${series.value}`
+    );
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(
+      (series) => `${this.name}${formatLabels(series.labels)} ${series.value}`
+    );
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bucket, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...series.labels, le: bucket })} ${series.counts[i]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`
+      );
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+const jobRunsTotal = new Counter(
+  'cron_job_runs_total',
+  'Job executions by result (success, failure, skipped)'
+);
+const jobFailuresTotal = new Counter('cron_job_failures_total', 'Failed job executions');
+const jobDurationSeconds = new Histogram(
+  'cron_job_duration_seconds',
+  'Job execution duration in seconds',
+  DURATION_BUCKETS
+);
+const jobLastSuccessTimestamp = new Gauge(
+  'cron_job_last_success_timestamp_seconds',
+  'Unix time of the last successful job execution'
+);
+const emailsSentTotal = new Counter('cron_emails_sent_total', 'Emails sent by module');
+const emailsFailedTotal = new Counter(
+  'cron_emails_failed_total',
+  'Emails that failed to send by module'
+);
+const ovenReadsTotal = new Counter(
+  'cron_oven_temperature_reads_total',
+  'Oven temperature sensor reads by oven and result (success, failure)'
+);
+
+const ALL_METRICS = [
+  jobRunsTotal,
+  jobFailuresTotal,
+  jobDurationSeconds,
+  jobLastSuccessTimestamp,
+  emailsSentTotal,
+  emailsFailedTotal,
+  ovenReadsTotal,
+];
+
+/**
+ * Record a finished (or skipped) job execution
+ * @param {string} job - Job name
+ * @param {string} status - 'success', 'failure' or 'skipped'
+ * @param {number} [durationMs] - Execution duration (not recorded for skipped runs)
+ */
+export function recordJobRun(job, status, durationMs) {
+  jobRunsTotal.inc({ job, status });
+
+  if (status === 'skipped') {
+    return;
+  }
+
+  jobDurationSeconds.observe({ job }, durationMs / 1000);
+  if (status === 'success') {
+    jobLastSuccessTimestamp.set({ job }, Math.floor(Date.now() / 1000));
+  } else {
+    jobFailuresTotal.inc({ job });
+  }
+}
+
+/**
+ * Record an email send attempt
+ * @param {string} module - Sending module (e.g. 'deviation-reminders')
+ * @param {boolean} success - Whether the email was accepted by the mailer API
+ */
+export function recordEmail(module, success) {
+  if (success) {
+    emailsSentTotal.inc({ module });
+  } else {
+    emailsFailedTotal.inc({ module });
+  }
+}
+
+/**
+ * Record an oven temperature sensor read
+ * @param {string} oven - Oven name
+ * @param {boolean} success - Whether the read succeeded
+ */
+export function recordOvenRead(oven, success) {
+  ovenReadsTotal.inc({ oven, result: success ? 'success' : 'failure' });
+}
+
+/**
+ * Render all metrics in Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${ALL_METRICS.map((metric) => metric.render()).join('\n\n')}\n`;
+}
@@ -0,0 +1,115 @@
+/**
+ * Plant-local (Europe/Warsaw) calendar days
+ * Day boundaries are computed in the plant timezone explicitly, so they do not depend on the
+ * server timezone and stay correct on DST change days (23 and 25 hour days)
+ */
+
+export const PLANT_TIMEZONE = 'Europe/Warsaw';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plant-local calendar day (YYYY-MM-DD)
+ * @param {Date} [date] - Moment to convert (defaults to now)
+ * @returns {string}
+ */
+export function getPlantDayKey(date = new Date()) {
+  return new Date(date).toLocaleDateString('sv-SE', { timeZone: PLANT_TIMEZONE });
+}
+
+/**
+ * Day shifted by a number of calendar days
+ * @param {string} dayKey - Day (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+export function addPlantDays(dayKey, days) {
+  return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Number of calendar days from one plant day to another
+ * @param {string} fromDayKey - Day (YYYY-MM-DD)
+ * @param {string} toDayKey - Day (YYYY-MM-DD)
+ * @returns {number}
+ */
+export function getPlantDaysBetween(fromDayKey, toDayKey) {
+  return Math.round(
+    (Date.parse(`${toDayKey}T00:00:00Z`) - Date.parse(`${fromDayKey}T00:00:00Z`)) / DAY_MS
+  );
+}
+
+// Formatters per timezone, creating one is far slower than formatting
+const offsetFormatters = new Map();
+
+/**
+ * Offset of a timezone from UTC at the given moment, in milliseconds
+ * @param {Date} date - Moment to check
+ * @param {string} timezone - Timezone name
+ * @returns {number}
+ */
+export function getTimezoneOffsetMs(date, timezone) {
+  if (!offsetFormatters.has(timezone)) {
+    offsetFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  const parts = Object.fromEntries(
+    offsetFormatters
+      .get(timezone)
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Offset of the plant timezone from UTC at the given moment, in milliseconds
+ * @param {Date} date - Moment to check
+ */
+function getPlantOffsetMs(date) {
+  return getTimezoneOffsetMs(date, PLANT_TIMEZONE);
+}
+
+/**
+ * Moment the plant day starts (local midnight)
+ * @param {string|Date} [day] - Day (YYYY-MM-DD) or a moment within it (defaults to today)
+ * @returns {Date}
+ */
+export function getPlantDayStart(day = new Date()) {
+  const dayKey = typeof day === 'string' ? day : getPlantDayKey(day);
+  const midnightUtc = Date.parse(`${dayKey}T00:00:00Z`);
+  // Second pass corrects the offset when the first guess is on the other side of a DST change
+  const guess = midnightUtc - getPlantOffsetMs(new Date(midnightUtc));
+  return new Date(midnightUtc - getPlantOffsetMs(new Date(guess)));
+}
+
+/**
+ * Last millisecond of the plant day
+ * @param {string|Date} [day] - Day (YYYY-MM-DD) or a moment within it (defaults to today)
+ * @returns {Date}
+ */
+export function getPlantDayEnd(day = new Date()) {
+  const dayKey = typeof day === 'string' ? day : getPlantDayKey(day);
+  return new Date(getPlantDayStart(addPlantDays(dayKey, 1)).getTime() - 1);
+}
@@ -6,12 +6,13 @@ import SMB2 from 'v9u-smb2';
  * @param {string} share - Share name
  * @param {string} username - SMB username
  * @param {string} password - SMB password
+ * @param {string} domain - Domain/Workgroup name (optional, defaults to WORKGROUP)
  * @returns {Promise<SMB2>}
  */
-export async function connectToSourceSmb(ip, share, username, password) {
+export async function connectToSourceSmb(ip, share, username, password, domain) {
   const client = new SMB2({
     share: `\\\\${ip}\\${share}`,
-    domain: 'WORKGROUP',
+    domain: domain || 'WORKGROUP',
     username: username,
     password: password,
     autoCloseTimeout: 10000,
@@ -185,6 +186,56 @@ export async function ensureDirectory(client, dirPath) {
   });
 }
 
+/**
+ * Split a configured "share/path" value into the share name and a path inside it
+ * @param {string} sharePath - e.g. "Reports/Overtime/2025"
+ * @returns {{share: string, path: string}} Path uses backslashes, empty for the share root
+ */
+export function parseSharePath(sharePath) {
+  const [share, ...pathParts] = sharePath.split(/[\\/]/).filter(Boolean);
+  return { share, path: pathParts.join('\\') };
+}
+
+/**
+ * Write file to SMB share (overwrites an existing file)
+ * @param {SMB2} client - SMB2 client
+ * @param {string} filePath - File path
+ * @param {Buffer} content - File content
+ * @returns {Promise<number>} File size in bytes
+ */
+export async function writeFile(client, filePath, content) {
+  return new Promise((resolve, reject) => {
+    // v9u-smb2 defaults to 'wx', which fails when the file exists
+    client.writeFile(filePath, content, { flags: 'w' }, (err) => {
+      if (err) {
+        reject(new Error(`Failed to write ${filePath}: ${err.message}`));
+        return;
+      }
+
+      resolve(content.length);
+    });
+  });
+}
+
+/**
+ * Read file from SMB share
+ * @param {SMB2} client - SMB2 client
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer>} File content
+ */
+export async function readFile(client, filePath) {
+  return new Promise((resolve, reject) => {
+    client.readFile(filePath, (err, content) => {
+      if (err) {
+        reject(new Error(`Failed to read ${filePath}: ${err.message}`));
+        return;
+      }
+
+      resolve(content);
+    });
+  });
+}
+
 /**
  * Copy file from source to target SMB share
  * Note: File timestamps cannot be preserved due to SMB2 library limitations
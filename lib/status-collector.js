@@ -1,102 +1,193 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { parseEmailAddresses } from './email-helper.js';
+import { renderEmail } from './email-templates/index.js';
+import { sendEmail } from './mailer.js';
+import {
+  getCronState,
+  getJobRunsCollection,
+  setCronState,
+  toExecution,
+} from './job-run-store.js';
 
 dotenv.config();
 
+const SUMMARY_STATE_KEY = 'statusSummaryLastSentAt';
+
 class StatusCollector {
   constructor() {
-    this.jobExecutions = [];
-    this.maxExecutions = 2000; // Keep more history for status reporting
-    this.lastSummarySentAt = null; // Track when last summary was sent (for time-based filtering)
+    this.lastSummarySentAt = null; // Track when last summary was sent (cached copy of persisted value)
   }
 
   /**
-   * Add successful job execution to collection
-   * @param {string} jobName - Name of the cron job that succeeded
-   * @param {Object} result - Optional result data from the job
+   * Record the start of a job execution in cron_job_runs
+   * @param {string} jobName - Name of the cron job
+   * @returns {Promise<{runId: ObjectId|null, startedAt: Date}>} Run handle for addSuccess/addFailure
+   */
+  async startExecution(jobName) {
+    const startedAt = new Date();
+
+    try {
+      const coll = await getJobRunsCollection();
+      const { insertedId } = await coll.insertOne({
+        jobName,
+        status: 'running',
+        startedAt,
+        isBackup: jobName.includes('Backup'),
+      });
+      return { runId: insertedId, startedAt };
+    } catch (error) {
+      console.error(`Failed to record start of ${jobName}:`, error.message);
+      return { runId: null, startedAt };
+    }
+  }
+
+  /**
+   * Persist the outcome of a job execution
+   * Updates the run started with startExecution, or inserts a new one if there is none
+   * @param {string} jobName - Name of the cron job
+   * @param {Object} fields - Outcome fields (status, result, error, context...)
+   * @param {Object} run - Run handle returned by startExecution
+   * @returns {Promise<boolean>} Whether the execution was persisted
    */
-  addSuccess(jobName, result = {}) {
+  async saveExecution(jobName, fields, { runId = null, startedAt = new Date() } = {}) {
+    const endedAt = new Date();
     const execution = {
       jobName,
-      status: 'success',
-      result,
-      timestamp: new Date().toISOString(),
-      timestampFormatted: new Date().toLocaleString('pl-PL', {
-        timeZone: 'Europe/Warsaw',
-      }),
-      isBackup: result.backupName ? true : false, // Mark backup jobs
+      ...fields,
+      startedAt,
+      endedAt,
+      durationMs: endedAt - startedAt,
     };
 
-    this.jobExecutions.push(execution);
-
-    // Prevent memory overflow
-    if (this.jobExecutions.length > this.maxExecutions) {
-      this.jobExecutions.shift(); // Remove oldest execution
+    try {
+      const coll = await getJobRunsCollection();
+      if (runId) {
+        await coll.updateOne({ _id: runId }, { $set: execution });
+      } else {
+        await coll.insertOne(execution);
+      }
+      return true;
+    } catch (error) {
+      console.error(`Failed to record ${fields.status} of ${jobName}:`, error.message);
+      return false;
     }
   }
 
+  /**
+   * Add successful job execution to collection
+   * @param {string} jobName - Name of the cron job that succeeded
+   * @param {Object} result - Optional result data from the job
+   * @param {Object} run - Run handle returned by startExecution
+   * @returns {Promise<boolean>} Whether the execution was persisted
+   */
+  async addSuccess(jobName, result = {}, run = {}) {
+    return this.saveExecution(
+      jobName,
+      {
+        status: 'success',
+        result: result || {},
+        isBackup: result?.backupName ? true : false, // Mark backup jobs
+      },
+      run
+    );
+  }
+
   /**
    * Add failed job execution to collection
    * @param {string} jobName - Name of the cron job that failed
    * @param {Error} error - The error object
    * @param {Object} context - Additional context about the error
+   * @param {Object} run - Run handle returned by startExecution
+   * @returns {Promise<boolean>} Whether the execution was persisted
    */
-  addFailure(jobName, error, context = {}) {
-    const execution = {
+  async addFailure(jobName, error, context = {}, run = {}) {
+    return this.saveExecution(
       jobName,
-      status: 'failure',
-      error: {
-        message: error.message || 'Unknown error',
-        stack: error.stack,
+      {
+        status: 'failure',
+        error: {
+          message: error.message || 'Unknown error',
+          stack: error.stack,
+        },
+        context,
+        errorNotifiedAt: null, // Set by errorCollector once included in a batch notification
+        isBackup: jobName.includes('Backup') || context.backupName ? true : false, // Mark backup jobs
       },
-      context,
-      timestamp: new Date().toISOString(),
-      timestampFormatted: new Date().toLocaleString('pl-PL', {
-        timeZone: 'Europe/Warsaw',
-      }),
-      isBackup: jobName.includes('Backup') || context.backupName ? true : false, // Mark backup jobs
-    };
+      run
+    );
+  }
 
-    this.jobExecutions.push(execution);
+  /**
+   * Add skipped job execution to collection (e.g. previous run still in progress)
+   * @param {string} jobName - Name of the cron job that was skipped
+   * @param {string} reason - Why the execution was skipped
+   * @returns {Promise<boolean>} Whether the execution was persisted
+   */
+  async addSkipped(jobName, reason) {
+    return this.saveExecution(jobName, {
+      status: 'skipped',
+      reason,
+      isBackup: jobName.includes('Backup'), // Mark backup jobs
+    });
+  }
 
-    // Prevent memory overflow
-    if (this.jobExecutions.length > this.maxExecutions) {
-      this.jobExecutions.shift(); // Remove oldest execution
-    }
+  /**
+   * Get finished executions matching the given filter, oldest first
+   * @param {Object} filter - Additional MongoDB filter
+   * @returns {Promise<Array>} Executions
+   */
+  async findExecutions(filter = {}) {
+    const coll = await getJobRunsCollection();
+    const docs = await coll
+      .find({ status: { $ne: 'running' }, ...filter })
+      .sort({ startedAt: 1 })
+      .toArray();
+    return docs.map(toExecution);
   }
 
   /**
    * Get executions from the last specified hours
    * @param {number} hours - Number of hours to look back
    */
-  getRecentExecutions(hours = 24) {
+  async getRecentExecutions(hours = 24) {
     const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-    return this.jobExecutions.filter(exec => new Date(exec.timestamp) > cutoff);
+    return this.findExecutions({ endedAt: { $gt: cutoff } });
   }
 
   /**
    * Get executions since the specified timestamp
-   * @param {string|null} timestamp - ISO timestamp to filter from (null returns all)
-   * @returns {Array} Filtered executions
+   * @param {string|null} timestamp - ISO timestamp to filter from (null returns all retained runs)
+   * @returns {Promise<Array>} Filtered executions
    */
-  getExecutionsSince(timestamp) {
+  async getExecutionsSince(timestamp) {
     if (!timestamp) {
       // First run - return all executions
-      return [...this.jobExecutions];
+      return this.findExecutions();
     }
 
-    const cutoffDate = new Date(timestamp);
-    
-    // Handle edge case: if timestamp is older than oldest execution, return all available
-    if (this.jobExecutions.length > 0) {
-      const oldestExecution = this.jobExecutions[0];
-      if (cutoffDate < new Date(oldestExecution.timestamp)) {
-        return [...this.jobExecutions];
-      }
-    }
+    return this.findExecutions({ endedAt: { $gt: new Date(timestamp) } });
+  }
 
-    return this.jobExecutions.filter(exec => new Date(exec.timestamp) > cutoffDate);
+  /**
+   * Get the most recent runs including running ones, newest first
+   * @param {Object} options - Query options
+   * @param {string} [options.jobName] - Only runs of this job
+   * @param {number} [options.limit] - Maximum number of runs
+   * @returns {Promise<Array>} Runs
+   */
+  async getLatestRuns({ jobName, limit = 50 } = {}) {
+    const coll = await getJobRunsCollection();
+    const docs = await coll
+      .find(jobName ? { jobName } : {})
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    return docs.map((doc) => ({
+      ...doc,
+      timestampFormatted: doc.startedAt.toLocaleString('pl-PL', {
+        timeZone: 'Europe/Warsaw',
+      }),
+    }));
   }
 
   /**
@@ -148,6 +239,7 @@ class StatusCollector {
           totalExecutions: 0,
           successCount: 0,
           failureCount: 0,
+          skippedCount: 0,
           lastExecution: null,
           lastSuccess: null,
           lastFailure: null,
@@ -162,6 +254,8 @@ class StatusCollector {
         if (!stats.lastSuccess || new Date(exec.timestamp) > new Date(stats.lastSuccess)) {
           stats.lastSuccess = exec.timestampFormatted;
         }
+      } else if (exec.status === 'skipped') {
+        stats.skippedCount++;
       } else {
         stats.failureCount++;
         if (!stats.lastFailure || new Date(exec.timestamp) > new Date(stats.lastFailure)) {
@@ -191,6 +285,7 @@ class StatusCollector {
       totalExecutions: executions.length,
       successfulExecutions: executions.filter(e => e.status === 'success').length,
       failedExecutions: executions.filter(e => e.status === 'failure').length,
+      skippedExecutions: executions.filter(e => e.status === 'skipped').length,
       uniqueJobs: Object.keys(jobStats).length,
       jobStats: Object.values(jobStats),
       generatedAt,
@@ -202,8 +297,19 @@ class StatusCollector {
    * Includes all executions since the last summary was sent
    */
   async sendStatusSummary() {
-    // Get executions since last summary was sent
-    const filteredExecutions = this.getExecutionsSince(this.lastSummarySentAt);
+    let filteredExecutions;
+    try {
+      // Restore last summary time after a restart
+      if (!this.lastSummarySentAt) {
+        this.lastSummarySentAt = await getCronState(SUMMARY_STATE_KEY);
+      }
+
+      // Get executions since last summary was sent
+      filteredExecutions = await this.getExecutionsSince(this.lastSummarySentAt);
+    } catch (error) {
+      console.error('Failed to load job runs for status summary:', error.message);
+      return;
+    }
     
     // Separate backup and non-backup executions
     const backupExecutions = filteredExecutions.filter(exec => exec.isBackup);
@@ -218,194 +324,56 @@ class StatusCollector {
       return;
     }
 
-    // Build subject line with period info
-    let subject = `[CRON] Status Summary - ${summary.totalExecutions} executions since last report`;
-    if (summary.periodStartFormatted) {
-      subject += ` (since ${summary.periodStartFormatted})`;
-    }
-    subject += ` - ${summary.generatedAt}`;
-
-    // Calculate overall health score
-    const healthScore = summary.totalExecutions > 0
-      ? ((summary.successfulExecutions / summary.totalExecutions) * 100).toFixed(1)
-      : 100;
-
-    const statusColor = summary.failedExecutions === 0 ? '#4caf50' :
-                       healthScore >= 90 ? '#ff9800' : '#f44336';
-
-    // Build period description
-    let periodDescription = 'All executions since system start';
-    if (summary.periodStartFormatted) {
-      if (summary.periodDuration) {
-        periodDescription = `Since ${summary.periodStartFormatted} (${summary.periodDuration}) until ${summary.generatedAt}`;
-      } else {
-        periodDescription = `Since ${summary.periodStartFormatted} until ${summary.generatedAt}`;
+    // Latest execution per backup (skipped runs carry no result)
+    const backupName = (exec) =>
+      (exec.result?.backupName || exec.jobName.replace('monitor', '').replace('Backup', '')).toUpperCase();
+    const backupsByName = {};
+    backupExecutions.forEach(exec => {
+      if (exec.status === 'skipped') return;
+      const name = backupName(exec);
+      if (!backupsByName[name] || new Date(exec.timestamp) > new Date(backupsByName[name].timestamp)) {
+        backupsByName[name] = exec;
       }
-    } else {
-      periodDescription = `All executions until ${summary.generatedAt}`;
-    }
-
-    let html = `
-      <div style="font-family: Arial, sans-serif; max-width: 800px;">
-        <h2 style="color: ${statusColor};">Status Summary - Since Last Report</h2>
-
-        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
-          <p><strong>Successful:</strong> <span style="color: #4caf50;">${summary.successfulExecutions}</span></p>
-          <p><strong>Failed:</strong> <span style="color: #f44336;">${summary.failedExecutions}</span></p>
-        </div>
-    `;
-
-    if (summary.totalExecutions === 0) {
-      html += `
-        <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 10px 0; border-left: 4px solid #ffc107;">
-          <p><strong>Note:</strong> No job executions recorded since last report.</p>
-          <p>This could indicate:</p>
-          <ul>
-            <li>All jobs are scheduled outside this time window</li>
-            <li>The system was recently started</li>
-            <li>Jobs may not be running as expected</li>
-          </ul>
-        </div>
-      `;
-    } else {
-      // Add backup summary section
-      if (backupExecutions.length > 0) {
-        html += `
-          <h3>Backup Summary</h3>
-          <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
-            <thead>
-              <tr style="background-color: #e3f2fd;">
-                <th style="padding: 8px; text-align: left; border: 1px solid #ccc;">Backup Name</th>
-                <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Status</th>
-              </tr>
-            </thead>
-            <tbody>
-        `;
-
-        // Group backups by name and get latest execution for each
-        const backupsByName = {};
-        backupExecutions.forEach(exec => {
-          const backupName = exec.result?.backupName || exec.jobName.replace('monitor', '').replace('Backup', '');
-          if (!backupsByName[backupName] || new Date(exec.timestamp) > new Date(backupsByName[backupName].timestamp)) {
-            backupsByName[backupName] = exec;
-          }
-        });
-
-        // Sort backups alphabetically and display with uppercase names
-        Object.values(backupsByName)
-          .sort((a, b) => {
-            const nameA = (a.result?.backupName || a.jobName.replace('monitor', '').replace('Backup', '')).toUpperCase();
-            const nameB = (b.result?.backupName || b.jobName.replace('monitor', '').replace('Backup', '')).toUpperCase();
-            return nameA.localeCompare(nameB);
-          })
-          .forEach(backup => {
-            const result = backup.result || {};
-            const statusColor = backup.status === 'success' ? '#4caf50' : '#f44336';
-            const statusText = backup.status === 'success' ? 'Success' : 'Failed';
-            const backupName = (result.backupName || backup.jobName.replace('monitor', '').replace('Backup', '')).toUpperCase();
-
-            html += `
-              <tr>
-                <td style="padding: 8px; border: 1px solid #ccc; font-weight: bold;">${backupName}</td>
-                <td style="padding: 8px; text-align: center; border: 1px solid #ccc; color: ${statusColor}; font-weight: bold;">${statusText}</td>
-              </tr>
-            `;
-          });
-
-        html += `
-            </tbody>
-          </table>
-        `;
-      }
-
-      html += `
-        <h3>Job Summary</h3>
-        <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
-          <thead>
-            <tr style="background-color: #e0e0e0;">
-              <th style="padding: 8px; text-align: left; border: 1px solid #ccc;">Job Name</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Success</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Failed</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Success Rate</th>
-            </tr>
-          </thead>
-          <tbody>
-      `;
-
-      // Sort jobs by name for consistent reporting
-      summary.jobStats.sort((a, b) => a.jobName.localeCompare(b.jobName));
-
-      summary.jobStats.forEach(job => {
-        const successRate = job.totalExecutions > 0
-          ? ((job.successCount / job.totalExecutions) * 100).toFixed(0)
-          : '0';
-
-        const rateColor = job.failureCount === 0 ? '#4caf50' :
-                         successRate >= 90 ? '#ff9800' : '#f44336';
-
-        html += `
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ccc;">${job.jobName}</td>
-            <td style="padding: 8px; text-align: center; border: 1px solid #ccc; color: #4caf50;">${job.successCount}</td>
-            <td style="padding: 8px; text-align: center; border: 1px solid #ccc; color: #f44336;">${job.failureCount}</td>
-            <td style="padding: 8px; text-align: center; border: 1px solid #ccc; color: ${rateColor}; font-weight: bold;">${successRate}%</td>
-          </tr>
-        `;
-      });
-
-      html += `
-          </tbody>
-        </table>
-      `;
-
-      // Add details for failed jobs
-      const failedJobs = summary.jobStats.filter(job => job.failureCount > 0);
-      if (failedJobs.length > 0) {
-        html += `
-          <h3 style="color: #f44336;">Jobs with Failures</h3>
-        `;
-
-        failedJobs.forEach(job => {
-          html += `
-            <div style="background-color: #ffebee; padding: 10px; border-radius: 5px; margin: 10px 0; border-left: 4px solid #f44336;">
-              <p><strong>${job.jobName}</strong></p>
-              <p>Failures: ${job.failureCount}/${job.totalExecutions} executions</p>
-              <p>Last failure: ${job.lastFailure || 'N/A'}</p>
-              <p>Last success: ${job.lastSuccess || 'No recent successes'}</p>
-            </div>
-          `;
-        });
-      }
-
-      // Add note about healthy jobs if all are successful
-      if (summary.failedExecutions === 0) {
-        html += `
-          <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 10px 0; border-left: 4px solid #4caf50;">
-            <p><strong>✅ All systems operational</strong></p>
-            <p>All ${summary.totalExecutions} job executions completed successfully since last report.</p>
-          </div>
-        `;
-      }
-    }
-
-    html += `
-      </div>
-    `;
-
-    try {
-      const emailAddresses = parseEmailAddresses(adminEmail);
-      await axios.post(`${process.env.API_URL}/mailer`, {
-        to: emailAddresses.join(','),
-        subject,
-        html,
-      });
-      
+    });
+    const backups = Object.entries(backupsByName)
+      .sort(([nameA], [nameB]) => nameA.localeCompare(nameB))
+      .map(([name, exec]) => ({ name, status: exec.status }));
+
+    // Sort jobs by name for consistent reporting
+    summary.jobStats.sort((a, b) => a.jobName.localeCompare(b.jobName));
+
+    const { subject, html } = renderEmail(
+      'status-summary',
+      {
+        generatedAt: new Date(),
+        periodStart: summary.periodStart,
+        totalExecutions: summary.totalExecutions,
+        successfulExecutions: summary.successfulExecutions,
+        failedExecutions: summary.failedExecutions,
+        skippedExecutions: summary.skippedExecutions,
+        backups,
+        jobStats: summary.jobStats,
+      },
+      { locale: process.env.ADMIN_EMAIL_LOCALE }
+    );
+
+    const emailAddresses = parseEmailAddresses(adminEmail);
+    const sendResult = await sendEmail(
+      { to: emailAddresses, subject, html },
+      { module: 'status-summary', template: 'status-summary' }
+    );
+    if (sendResult.success) {
       // Update last summary sent timestamp after successful send
       this.lastSummarySentAt = new Date().toISOString();
+      try {
+        await setCronState(SUMMARY_STATE_KEY, this.lastSummarySentAt);
+      } catch (stateError) {
+        console.error('Failed to persist status summary timestamp:', stateError.message);
+      }
       
-      console.log(`Status summary sent to ${emailAddresses.length} recipient(s): ${summary.totalExecutions} executions, ${summary.successfulExecutions} successful, ${summary.failedExecutions} failed`);
-    } catch (sendError) {
-      console.error('Failed to send status summary:', sendError.message);
+      console.log(`Status summary sent to ${emailAddresses.length} recipient(s): ${summary.totalExecutions} executions, ${summary.successfulExecutions} successful, ${summary.failedExecutions} failed, ${summary.skippedExecutions} skipped`);
+    } else {
+      console.error('Failed to send status summary:', sendResult.error);
     }
   }
 }
@@ -1,7 +1,8 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { parseEmailAddresses } from './email-helper.js';
-import { SENSOR_KEYS, SENSOR_LABELS } from './temperature-constants.js';
+import { renderEmail } from './email-templates/index.js';
+import { sendEmail } from './mailer.js';
+import { SENSOR_KEYS, SENSOR_OUTLIER_THRESHOLD } from './temperature-constants.js';
 
 dotenv.config();
 
@@ -116,82 +117,16 @@ class TemperatureOutlierCollector {
       return;
     }
 
-    const now = new Date().toLocaleString('pl-PL', {
-      timeZone: 'Europe/Warsaw',
-    });
-
     const groupedOutliers = this.groupOutliersByOven(outliers);
     const ovenNames = Object.keys(groupedOutliers);
-    const subject = `[CRON] Temperature Outlier Report - ${outliers.length} outliers in ${ovenNames.length} ovens - ${now}`;
-
-    // Create summary statistics
-    const summary = ovenNames.map((oven) => {
-      const ovenOutliers = groupedOutliers[oven];
-      return {
-        oven,
-        count: ovenOutliers.length,
-        firstOccurrence: ovenOutliers[0].timestampFormatted,
-        lastOccurrence: ovenOutliers[ovenOutliers.length - 1].timestampFormatted,
-      };
-    });
-
-    // Build HTML email
-    let html = `
-      <div style="font-family: Arial, sans-serif; max-width: 800px;">
-        <h2 style="color: #ff9800;">⚠️ Temperature Outlier Report - Last Hour</h2>
-        
-        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
-          <p><strong>Total Outliers:</strong> ${outliers.length}</p>
-          <p><strong>Ovens with Outliers:</strong> ${ovenNames.length}</p>
-        </div>
-
-        <h3>Summary</h3>
-        <table style="width: 100%; border-collapse: collapse; margin: 10px 0;">
-          <thead>
-            <tr style="background-color: #e0e0e0;">
-              <th style="padding: 8px; text-align: left; border: 1px solid #ccc;">Oven</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Outlier Count</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">First Occurrence</th>
-              <th style="padding: 8px; text-align: center; border: 1px solid #ccc;">Last Occurrence</th>
-            </tr>
-          </thead>
-          <tbody>
-    `;
-
-    summary.forEach((item) => {
-      html += `
-            <tr>
-              <td style="padding: 8px; border: 1px solid #ccc;">${item.oven.toUpperCase()}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc;">${item.count}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc; font-size: 12px;">${item.firstOccurrence}</td>
-              <td style="padding: 8px; text-align: center; border: 1px solid #ccc; font-size: 12px;">${item.lastOccurrence}</td>
-            </tr>
-      `;
-    });
-
-    html += `
-          </tbody>
-        </table>
-
-        <h3>Outlier Details</h3>
-    `;
 
-    // Add detailed outliers grouped by oven, then by sensor combination
-    ovenNames.forEach((oven) => {
+    // Per oven: summary statistics and outliers grouped by sensor combination
+    const ovens = ovenNames.map((oven) => {
       const ovenOutliers = groupedOutliers[oven];
       const sensorGroups = this.groupOutliersBySensorCombination(ovenOutliers);
 
-      html += `
-        <div style="margin: 20px 0; border: 1px solid #ccc; border-radius: 5px; padding: 10px;">
-          <h4 style="color: #1976d2; margin-top: 0;">Oven ${oven.toUpperCase()} (${ovenOutliers.length} outliers)</h4>
-      `;
-
-      // Process each sensor combination group
-      Object.values(sensorGroups).forEach((group) => {
+      const groups = Object.values(sensorGroups).map((group) => {
         const occurrences = group.occurrences;
-        const count = occurrences.length;
-        const firstOccurrence = occurrences[0];
-        const lastOccurrence = occurrences[occurrences.length - 1];
 
         // Calculate temperature ranges for each outlier sensor
         const tempRanges = {};
@@ -199,7 +134,7 @@ class TemperatureOutlierCollector {
           const temps = occurrences
             .map((occ) => occ.sensorData[sensorKey])
             .filter((t) => typeof t === 'number' && !isNaN(t));
-          
+
           if (temps.length > 0) {
             tempRanges[sensorKey] = {
               min: Math.min(...temps),
@@ -208,98 +143,64 @@ class TemperatureOutlierCollector {
           }
         });
 
-        // Get example outlier (first occurrence) for detailed view
-        const exampleOutlier = firstOccurrence;
-        const { sensorData, analysis, processInfo, timestampFormatted } = exampleOutlier;
-
-        // Create sensor readings table for example
-        const sensorRows = Object.entries(sensorData)
-          .filter(([key, value]) => SENSOR_KEYS.includes(key) && typeof value === 'number')
-          .map(([key, value]) => {
-            const isOutlier = analysis.outlierSensors.includes(key);
-            const style = isOutlier ? 'background-color: #ffebee; color: #d32f2f; font-weight: bold;' : '';
-            return `<tr style="${style}"><td>${SENSOR_LABELS[key] || key}</td><td>${value}°C</td><td>${isOutlier ? '⚠️ OUTLIER' : '✓ OK'}</td></tr>`;
-          })
-          .join('');
-
-        const processRows = processInfo.map(proc =>
-          `<tr><td>${proc.hydraBatch || 'N/A'}</td><td>${proc.article || 'N/A'}</td><td>${proc.status}</td></tr>`
-        ).join('');
-
-        // Build temperature range display
-        const tempRangeText = group.outlierSensors.length > 0
-          ? group.outlierSensors.map(sensorKey => {
-              const range = tempRanges[sensorKey];
-              if (range) {
-                return `${SENSOR_LABELS[sensorKey] || sensorKey}: ${range.min}°C - ${range.max}°C`;
-              }
-              return `${SENSOR_LABELS[sensorKey] || sensorKey}: N/A`;
-            }).join('<br>')
-          : 'None';
-
-        html += `
-          <div style="background-color: #fff3e0; padding: 15px; border-radius: 3px; margin: 10px 0; border-left: 4px solid #ff9800;">
-            <p><strong>Outlier Sensors:</strong> ${group.outlierSensors.map(s => SENSOR_LABELS[s] || s).join(', ') || 'None'}</p>
-            <p><strong>Occurrences:</strong> ${count}</p>
-            <p><strong>First Occurrence:</strong> ${firstOccurrence.timestampFormatted}</p>
-            <p><strong>Last Occurrence:</strong> ${lastOccurrence.timestampFormatted}</p>
-            <p><strong>Temperature Range:</strong><br>${tempRangeText}</p>
-            
-            <details style="margin-top: 10px;">
-              <summary style="cursor: pointer; color: #666;">Show example sensor readings and processes</summary>
-              
-              <h4 style="margin-top: 15px;">Example Sensor Readings (${exampleOutlier.timestampFormatted})</h4>
-              <p><strong>Median Temperature:</strong> ${analysis.medianTemp}°C</p>
-              <p><strong>Filtered Average (excluding outliers):</strong> ${analysis.avgTemp}°C</p>
-              <table style="border-collapse: collapse; width: 100%; margin: 10px 0;">
-                <tr style="background-color: #e0e0e0;">
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Sensor</th>
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Temperature</th>
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Status</th>
-                </tr>
-                ${sensorRows}
-              </table>
-
-              <h4 style="margin-top: 15px;">Active Processes</h4>
-              <table style="border-collapse: collapse; width: 100%; margin: 10px 0;">
-                <tr style="background-color: #e0e0e0;">
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Hydra Batch</th>
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Article</th>
-                  <th style="border: 1px solid #ccc; padding: 8px; text-align: left;">Status</th>
-                </tr>
-                ${processRows}
-              </table>
-            </details>
-          </div>
-        `;
+        // First occurrence is shown as a detailed example
+        const { sensorData, analysis, processInfo, timestamp } = occurrences[0];
+
+        return {
+          outlierSensors: group.outlierSensors,
+          count: occurrences.length,
+          firstOccurrence: occurrences[0].timestamp,
+          lastOccurrence: occurrences[occurrences.length - 1].timestamp,
+          tempRanges,
+          example: {
+            timestamp,
+            medianTemp: analysis.medianTemp,
+            avgTemp: analysis.avgTemp,
+            sensors: Object.entries(sensorData)
+              .filter(([key, value]) => SENSOR_KEYS.includes(key) && typeof value === 'number')
+              .map(([key, value]) => ({
+                key,
+                value,
+                isOutlier: analysis.outlierSensors.includes(key),
+              })),
+            processes: processInfo,
+          },
+        };
       });
 
-      html += `
-        </div>
-      `;
+      return {
+        oven,
+        count: ovenOutliers.length,
+        firstOccurrence: ovenOutliers[0].timestamp,
+        lastOccurrence: ovenOutliers[ovenOutliers.length - 1].timestamp,
+        groups,
+      };
     });
 
-    html += `
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 5px; margin: 10px 0; border-left: 4px solid #ff9800;">
-          <p><em>Outlier = deviation > 17% from median of all sensors</em></p>
-        </div>
-      </div>
-    `;
-
-    try {
-      const emailAddresses = parseEmailAddresses(adminEmail);
-      await axios.post(`${process.env.API_URL}/mailer`, {
-        to: emailAddresses.join(','),
-        subject,
-        html,
-      });
+    const { subject, html } = renderEmail(
+      'temperature-outliers',
+      {
+        generatedAt: new Date(),
+        totalOutliers: outliers.length,
+        thresholdPercent: Math.round(SENSOR_OUTLIER_THRESHOLD * 100),
+        ovens,
+      },
+      { locale: process.env.ADMIN_EMAIL_LOCALE }
+    );
+
+    const emailAddresses = parseEmailAddresses(adminEmail);
+    const sendResult = await sendEmail(
+      { to: emailAddresses, subject, html },
+      { module: 'temperature-outliers', template: 'temperature-outliers' }
+    );
+    if (sendResult.success) {
       console.log(
         `Batch temperature outlier notification sent: ${outliers.length} outliers from ${ovenNames.length} ovens to ${emailAddresses.length} recipient(s)`
       );
-    } catch (sendError) {
+    } else {
       console.error(
         'Failed to send batch temperature outlier notification:',
-        sendError.message
+        sendResult.error
       );
       // Store outliers back if sending failed
       outliers.forEach((outlier) => {
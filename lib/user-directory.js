@@ -0,0 +1,93 @@
+import { dbc } from './mongo.js';
+
+/**
+ * Words of a person's name without case, Polish characters and punctuation
+ * Hyphenated surnames are split, so "Kowalska-Nowak" and "Kowalska Nowak" compare equal
+ * @param {string} name - Name in any word order
+ * @returns {string[]}
+ */
+export function getNameTokens(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[łŁ]/g, 'l')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Name key independent of word order
+ * @param {string[]} tokens - Name tokens
+ */
+function toNameKey(tokens) {
+  return [...tokens].sort().join(' ');
+}
+
+/**
+ * Users looked up by display name (synced from LDAP by syncLdapUsers)
+ */
+class UserDirectory {
+  /**
+   * @param {Array<Object>} users - users documents with displayName and email
+   */
+  constructor(users) {
+    // Users synced without a cn have their email as displayName - not a name to match
+    this.users = users
+      .filter((user) => !String(user.displayName).includes('@'))
+      .map((user) => ({ user, tokens: getNameTokens(user.displayName) }));
+    this.byKey = new Map();
+    for (const entry of this.users) {
+      if (entry.tokens.length === 0) continue;
+      const key = toNameKey(entry.tokens);
+      if (!this.byKey.has(key)) {
+        this.byKey.set(key, []);
+      }
+      this.byKey.get(key).push(entry.user);
+    }
+  }
+
+  /**
+   * Find the user with a name, in any word order
+   * Exact name matches win; otherwise a display name containing every word of the name
+   * (e.g. a second surname) is accepted when it is the only one
+   * @param {string} name - Name, e.g. "Kowalski Jan"
+   * @returns {{status: 'resolved', user: Object} | {status: 'ambiguous', candidates: Object[]} | {status: 'not-found'}}
+   */
+  resolve(name) {
+    const tokens = getNameTokens(name);
+    if (tokens.length < 2) {
+      return { status: 'not-found' };
+    }
+
+    let candidates = this.byKey.get(toNameKey(tokens)) || [];
+    if (candidates.length === 0) {
+      candidates = this.users
+        .filter((entry) => tokens.every((token) => entry.tokens.includes(token)))
+        .map((entry) => entry.user);
+    }
+
+    if (candidates.length === 1) {
+      return { status: 'resolved', user: candidates[0] };
+    }
+    if (candidates.length > 1) {
+      return { status: 'ambiguous', candidates };
+    }
+    return { status: 'not-found' };
+  }
+}
+
+/**
+ * Load users with a display name from the users collection
+ * @returns {Promise<UserDirectory>}
+ */
+export async function loadUserDirectory() {
+  const usersColl = await dbc('users');
+  const users = await usersColl
+    .find(
+      { displayName: { $exists: true, $ne: '' } },
+      { projection: { email: 1, displayName: 1, locale: 1 } }
+    )
+    .toArray();
+  return new UserDirectory(users);
+}
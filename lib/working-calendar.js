@@ -0,0 +1,198 @@
+import dotenv from 'dotenv';
+import { dbc } from './mongo.js';
+import { addPlantDays, getPlantDayKey, getPlantDayStart } from './plant-date.js';
+
+dotenv.config();
+
+// Plant closure periods (shutdowns, inventory days), one document per period:
+// { from: Date, to: Date, reason?: string } - every plant day from..to (inclusive) is non-working
+export const PLANT_CLOSURES_COLLECTION = 'plant_closures';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fixed-date public holidays in Poland (MM-DD)
+const FIXED_HOLIDAYS = [
+  { date: '01-01', name: 'Nowy Rok' },
+  { date: '01-06', name: 'Święto Trzech Króli' },
+  { date: '05-01', name: 'Święto Pracy' },
+  { date: '05-03', name: 'Święto Konstytucji 3 Maja' },
+  { date: '08-15', name: 'Wniebowzięcie Najświętszej Maryi Panny' },
+  { date: '11-01', name: 'Wszystkich Świętych' },
+  { date: '11-11', name: 'Narodowe Święto Niepodległości' },
+  { date: '12-25', name: 'Boże Narodzenie (pierwszy dzień)' },
+  { date: '12-26', name: 'Boże Narodzenie (drugi dzień)' },
+];
+
+// Christmas Eve is a public holiday since 2025
+const CHRISTMAS_EVE = { date: '12-24', name: 'Wigilia Bożego Narodzenia', since: 2025 };
+
+// Movable holidays as days after Easter Sunday
+const EASTER_HOLIDAYS = [
+  { offset: 0, name: 'Wielkanoc' },
+  { offset: 1, name: 'Poniedziałek Wielkanocny' },
+  { offset: 49, name: 'Zielone Świątki' },
+  { offset: 60, name: 'Boże Ciało' },
+];
+
+/**
+ * Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Year
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Polish public holidays of a year, sorted by date
+ * @param {number} year - Year
+ * @returns {Array<{date: string, name: string}>}
+ */
+export function getPolishHolidays(year) {
+  const easter = getEasterSunday(year);
+  const fixed = [...FIXED_HOLIDAYS];
+  if (year >= CHRISTMAS_EVE.since) {
+    fixed.push(CHRISTMAS_EVE);
+  }
+
+  return [
+    ...fixed.map(({ date, name }) => ({ date: `${year}-${date}`, name })),
+    ...EASTER_HOLIDAYS.map(({ offset, name }) => ({
+      date: addPlantDays(easter, offset),
+      name,
+    })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Working calendar - weekends, Polish public holidays and plant closures are non-working
+ */
+class WorkingCalendar {
+  /**
+   * @param {Map<string, string>} closures - Closure reason per plant day (YYYY-MM-DD)
+   */
+  constructor(closures = new Map()) {
+    this.closures = closures;
+    this.holidays = new Map();
+  }
+
+  /**
+   * Holidays of a year keyed by day, computed once per year
+   * @param {number} year - Year
+   */
+  getHolidays(year) {
+    if (!this.holidays.has(year)) {
+      this.holidays.set(
+        year,
+        new Map(getPolishHolidays(year).map(({ date, name }) => [date, name]))
+      );
+    }
+    return this.holidays.get(year);
+  }
+
+  /**
+   * Why a plant day is non-working
+   * @param {string} dayKey - Day (YYYY-MM-DD)
+   * @returns {string|null} Reason or null for a working day
+   */
+  getNonWorkingReasonForDay(dayKey) {
+    const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) {
+      return 'weekend';
+    }
+    const holiday = this.getHolidays(Number(dayKey.slice(0, 4))).get(dayKey);
+    if (holiday) {
+      return `holiday: ${holiday}`;
+    }
+    if (this.closures.has(dayKey)) {
+      return `plant closure: ${this.closures.get(dayKey) || 'no reason given'}`;
+    }
+    return null;
+  }
+
+  /**
+   * Why the plant day of a moment is non-working
+   * @param {Date} [date] - Moment to check (defaults to now)
+   * @returns {string|null} Reason or null for a working day
+   */
+  getNonWorkingReason(date = new Date()) {
+    return this.getNonWorkingReasonForDay(getPlantDayKey(date));
+  }
+
+  /**
+   * Whether the plant day of a moment is a working day
+   * @param {Date} [date] - Moment to check (defaults to now)
+   */
+  isWorkingDay(date = new Date()) {
+    return this.getNonWorkingReason(date) === null;
+  }
+
+  /**
+   * Hours between two moments that fall on working days
+   * @param {Date} start - Start of the period
+   * @param {Date} end - End of the period
+   * @returns {number}
+   */
+  getWorkingHoursBetween(start, end) {
+    const startTime = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+    let workingMs = 0;
+
+    for (let dayKey = getPlantDayKey(start); ; dayKey = addPlantDays(dayKey, 1)) {
+      const dayStart = getPlantDayStart(dayKey).getTime();
+      if (dayStart >= endTime) break;
+
+      if (this.getNonWorkingReasonForDay(dayKey) === null) {
+        const dayEnd = getPlantDayStart(addPlantDays(dayKey, 1)).getTime();
+        workingMs += Math.max(0, Math.min(endTime, dayEnd) - Math.max(startTime, dayStart));
+      }
+    }
+
+    return workingMs / HOUR_MS;
+  }
+}
+
+/**
+ * Load the working calendar with plant closures from Mongo
+ * When closures cannot be loaded only weekends and holidays are used
+ * @param {Object} options - Load options
+ * @param {Date} [options.since] - Oldest moment the calendar is used for (defaults to a year ago)
+ * @returns {Promise<WorkingCalendar>}
+ */
+export async function loadWorkingCalendar({ since = new Date(Date.now() - 365 * DAY_MS) } = {}) {
+  const closures = new Map();
+
+  try {
+    const coll = await dbc(PLANT_CLOSURES_COLLECTION);
+    const periods = await coll.find({ to: { $gte: since } }).toArray();
+
+    for (const period of periods) {
+      if (!period.from || !period.to) continue;
+      const lastDay = getPlantDayKey(period.to);
+      let dayKey = getPlantDayKey(period.from);
+      while (dayKey <= lastDay) {
+        closures.set(dayKey, period.reason || '');
+        dayKey = addPlantDays(dayKey, 1);
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to load ${PLANT_CLOSURES_COLLECTION}, using holidays only:`, error.message);
+  }
+
+  return new WorkingCalendar(closures);
+}
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { recordOvenRead } from './lib/metrics.js';
 import { dbc } from './lib/mongo.js';
 import {
   SENSOR_OUTLIER_THRESHOLD,
@@ -237,6 +238,7 @@ async function logOvenTemperature() {
         const processIds = processes.map((proc) => proc._id);
         const currentTimestamp = new Date();
         const analysis = await saveTemperatureLog(oven, processIds, sensorData, currentTimestamp);
+        recordOvenRead(oven, true);
 
         logInfo(
           `Logged sensor data for oven ${oven} (${ip}) to oven_temperature_logs with processIds: [${processIds.join(
@@ -250,6 +252,8 @@ async function logOvenTemperature() {
           logInfo(`Outliers detected for oven ${oven}: ${analysis.outlierSensors.join(', ')}`);
         }
       } catch (err) {
+        recordOvenRead(oven, false);
+
         // Only log error if:
         // 1. Not all processes are in 'prepared' status AND
         // 2. At least one process has been running for less than 1 hour AND
@@ -1,6 +1,5 @@
 import dotenv from 'dotenv';
 import { connectToSynologyWithFailover } from '../lib/smb-helpers.js';
-import { statusCollector } from '../lib/status-collector.js';
 
 dotenv.config();
 
@@ -124,9 +123,6 @@ export async function monitorEOL308Backup() {
       synologyIp: connectedIp,
     };
 
-    // Report to status collector
-    statusCollector.addSuccess('monitorEOL308Backup', result);
-
     return result;
   } catch (error) {
     console.error('Error in monitorEOL308Backup:', error);
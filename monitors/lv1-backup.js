@@ -1,6 +1,5 @@
 import dotenv from 'dotenv';
 import { connectToSynologyWithFailover } from '../lib/smb-helpers.js';
-import { statusCollector } from '../lib/status-collector.js';
 
 dotenv.config();
 
@@ -125,9 +124,6 @@ export async function monitorLv1Backup() {
       totalBytes: 0, // Would need parsing from totalSize string
     };
 
-    // Report to status collector
-    statusCollector.addSuccess('monitorLv1Backup', result);
-
     return result;
   } catch (error) {
     console.error('Error in monitorLv1Backup:', error);
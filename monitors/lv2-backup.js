@@ -1,6 +1,5 @@
 import dotenv from 'dotenv';
 import { connectToSynologyWithFailover } from '../lib/smb-helpers.js';
-import { statusCollector } from '../lib/status-collector.js';
 
 dotenv.config();
 
@@ -127,9 +126,6 @@ export async function monitorLv2Backup() {
       failedDirs: statusJson.failedDirs || 0,
     };
 
-    // Report to status collector
-    statusCollector.addSuccess('monitorLv2Backup', result);
-
     return result;
   } catch (error) {
     console.error('Error in monitorLv2Backup:', error);
@@ -1,8 +1,9 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import { parseEmailAddresses } from '../lib/email-helper.js';
+import { renderEmail } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
 
 dotenv.config();
 
@@ -98,49 +99,27 @@ async function sendErrorNotification(appName, errorLines) {
     return;
   }
 
-  const timestamp = new Date().toLocaleString('pl-PL', {
-    timeZone: 'Europe/Warsaw',
-  });
-
-  const subject = `[CRON PM2 ERROR] ${appName} - ${timestamp}`;
-
-  const errorContent =
-    errorLines.length > 0 ? errorLines.join('\n') : 'No error lines available';
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 800px;">
-      <h2 style="color: #d32f2f;">PM2 Error Log Alert</h2>
-
-      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <p><strong>Application:</strong> ${appName}</p>
-        <p><strong>Time:</strong> ${timestamp}</p>
-      </div>
-
-      <div style="background-color: #ffebee; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <p><strong>Recent Error Lines:</strong></p>
-        <pre style="background-color: #fff; padding: 10px; border: 1px solid #ccc; border-radius: 3px; overflow-x: auto; font-size: 12px; max-height: 500px; overflow-y: auto;">
-${errorContent}
-        </pre>
-      </div>
-    </div>
-  `;
-
-  try {
-    const emailAddresses = parseEmailAddresses(adminEmail);
-    await axios.post(`${apiUrl}/mailer`, {
-      to: emailAddresses.join(','),
-      subject,
-      html,
-    });
+  const { subject, html } = renderEmail(
+    'pm2-error',
+    { appName, timestamp: new Date(), errorLines },
+    { locale: process.env.ADMIN_EMAIL_LOCALE }
+  );
+
+  const emailAddresses = parseEmailAddresses(adminEmail);
+  const sendResult = await sendEmail(
+    { to: emailAddresses, subject, html },
+    { module: 'pm2-error-logs', template: 'pm2-error' }
+  );
+  if (sendResult.success) {
     console.log(
       `PM2 error notification sent for ${appName} to ${emailAddresses.length} recipient(s)`
     );
-  } catch (sendError) {
+  } else {
     console.error(
       `Failed to send PM2 error notification for ${appName}:`,
-      sendError.message
+      sendResult.error
     );
-    throw sendError;
+    throw new Error(sendResult.error);
   }
 }
 
@@ -1,6 +1,5 @@
 import dotenv from 'dotenv';
 import { connectToSynologyWithFailover } from '../lib/smb-helpers.js';
-import { statusCollector } from '../lib/status-collector.js';
 
 dotenv.config();
 
@@ -127,9 +126,6 @@ export async function monitorSqlLv1Backup() {
       host: statusJson.host || 'unknown',
     };
 
-    // Report to status collector
-    statusCollector.addSuccess('monitorSqlLv1Backup', result);
-
     return result;
   } catch (error) {
     console.error('Error in monitorSqlLv1Backup:', error);
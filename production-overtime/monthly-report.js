@@ -0,0 +1,286 @@
+import dotenv from 'dotenv';
+import XLSX from 'xlsx';
+import { parseEmailAddresses } from '../lib/email-helper.js';
+import { buildDedupKey, wasEmailSentToday } from '../lib/email-log.js';
+import { renderEmail } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
+import { dbc } from '../lib/mongo.js';
+import { extractNameFromEmail } from '../lib/name-format.js';
+import { addPlantDays, getPlantDayKey, getPlantDayStart } from '../lib/plant-date.js';
+import {
+  connectToSourceSmb,
+  ensureDirectory,
+  parseSharePath,
+  writeFile,
+} from '../lib/smb-helpers.js';
+
+dotenv.config();
+
+// Requests included in the report
+const REPORT_STATUSES = ['approved', 'completed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Previous calendar month in the plant timezone
+ * @param {Date} now - Current time
+ * @returns {{month: string, start: Date, end: Date}} month as YYYY-MM, end exclusive
+ */
+function getReportPeriod(now) {
+  const firstOfThisMonth = `${getPlantDayKey(now).slice(0, 7)}-01`;
+  const firstOfPreviousMonth = `${addPlantDays(firstOfThisMonth, -1).slice(0, 7)}-01`;
+  return {
+    month: firstOfPreviousMonth.slice(0, 7),
+    start: getPlantDayStart(firstOfPreviousMonth),
+    end: getPlantDayStart(firstOfThisMonth),
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatPlantDateTime(date) {
+  return new Date(date).toLocaleString('pl-PL', { timeZone: 'Europe/Warsaw' });
+}
+
+/**
+ * Report row for a single request
+ * @param {Object} request - production_overtime document
+ */
+function toReportRow(request) {
+  const hours = Math.max(0, new Date(request.to) - new Date(request.from)) / HOUR_MS;
+  const employees = request.numberOfEmployees || 0;
+  return {
+    department: request.department || '-',
+    from: request.from,
+    to: request.to,
+    employees,
+    hours: round(hours),
+    employeeHours: round(hours * employees),
+    status: request.status,
+    requestedBy: request.requestedBy ? extractNameFromEmail(request.requestedBy) : '',
+    responsibleEmployee: request.responsibleEmployee || '',
+  };
+}
+
+/**
+ * Aggregate report rows by department, sorted by employee hours (highest first)
+ * @param {Array} rows - Report rows
+ */
+function aggregateByDepartment(rows) {
+  const departments = new Map();
+  for (const row of rows) {
+    if (!departments.has(row.department)) {
+      departments.set(row.department, {
+        department: row.department,
+        requests: 0,
+        employees: 0,
+        hours: 0,
+        employeeHours: 0,
+      });
+    }
+    const summary = departments.get(row.department);
+    summary.requests++;
+    summary.employees += row.employees;
+    summary.hours = round(summary.hours + row.hours);
+    summary.employeeHours = round(summary.employeeHours + row.employeeHours);
+  }
+
+  const sorted = [...departments.values()].sort((a, b) => b.employeeHours - a.employeeHours);
+  const totals = sorted.reduce(
+    (acc, row) => ({
+      requests: acc.requests + row.requests,
+      employees: acc.employees + row.employees,
+      hours: round(acc.hours + row.hours),
+      employeeHours: round(acc.employeeHours + row.employeeHours),
+    }),
+    { requests: 0, employees: 0, hours: 0, employeeHours: 0 }
+  );
+  return { departments: sorted, totals };
+}
+
+/**
+ * Build the XLSX workbook - summary by department and request details
+ * @returns {Buffer}
+ */
+function buildWorkbook(month, rows, departments, totals) {
+  const summarySheet = XLSX.utils.aoa_to_sheet([
+    [`Praca w godzinach nadliczbowych - produkcja - ${month}`],
+    [],
+    ['Dział', 'Zlecenia', 'Pracownicy', 'Godziny', 'Roboczogodziny'],
+    ...departments.map((row) => [
+      row.department,
+      row.requests,
+      row.employees,
+      row.hours,
+      row.employeeHours,
+    ]),
+    ['Razem', totals.requests, totals.employees, totals.hours, totals.employeeHours],
+  ]);
+
+  const detailsSheet = XLSX.utils.aoa_to_sheet([
+    [
+      'Dział',
+      'Od',
+      'Do',
+      'Pracownicy',
+      'Godziny',
+      'Roboczogodziny',
+      'Status',
+      'Zlecający',
+      'Odpowiedzialny',
+    ],
+    ...rows.map((row) => [
+      row.department,
+      formatPlantDateTime(row.from),
+      formatPlantDateTime(row.to),
+      row.employees,
+      row.hours,
+      row.employeeHours,
+      row.status,
+      row.requestedBy,
+      row.responsibleEmployee,
+    ]),
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Podsumowanie');
+  XLSX.utils.book_append_sheet(workbook, detailsSheet, 'Zlecenia');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Save the report to the SMB share configured in SMB_OVERTIME_REPORT_PATH ("share/path")
+ * @param {Buffer} content - XLSX file
+ * @param {string} fileName - File name
+ * @returns {Promise<string>} UNC path of the saved file
+ */
+async function saveReportToSmb(content, fileName) {
+  const ip = process.env.SMB_FILE_SERVER_IP;
+  const reportPath = process.env.SMB_OVERTIME_REPORT_PATH;
+  if (!ip || !reportPath) {
+    throw new Error('SMB_FILE_SERVER_IP or SMB_OVERTIME_REPORT_PATH is not configured');
+  }
+
+  const { share, path } = parseSharePath(reportPath);
+  const client = await connectToSourceSmb(
+    ip,
+    share,
+    process.env.SMB_FILE_SERVER_USER,
+    process.env.SMB_FILE_SERVER_PASS,
+    process.env.SMB_FILE_SERVER_DOMAIN
+  );
+
+  try {
+    if (path) {
+      await ensureDirectory(client, path);
+    }
+    const filePath = path ? `${path}\\${fileName}` : fileName;
+    await writeFile(client, filePath, content);
+    return `\\\\${ip}\\${share}\\${filePath}`;
+  } finally {
+    client.disconnect();
+  }
+}
+
+/**
+ * Monthly production overtime report for the previous month
+ * Aggregates approved and completed requests by department, saves the XLSX to the SMB share
+ * and emails it to plant managers and HR
+ */
+async function sendMonthlyOvertimeReport() {
+  const now = new Date();
+  const { month, start, end } = getReportPeriod(now);
+  let emailsSent = 0;
+  let emailErrors = 0;
+  let alreadySent = 0;
+  let smbError = null;
+
+  try {
+    const coll = await dbc('production_overtime');
+    const requests = await coll
+      .find({
+        status: { $in: REPORT_STATUSES },
+        from: { $gte: start, $lt: end },
+      })
+      .sort({ from: 1 })
+      .toArray();
+
+    const rows = requests.map(toReportRow);
+    const { departments, totals } = aggregateByDepartment(rows);
+    const content = buildWorkbook(month, rows, departments, totals);
+    const fileName = `nadgodziny-produkcja-${month}.xlsx`;
+
+    let savedPath = null;
+    try {
+      savedPath = await saveReportToSmb(content, fileName);
+    } catch (error) {
+      console.error(`Error saving overtime report ${fileName} to SMB:`, error.message);
+      smbError = error.message;
+    }
+
+    // Plant managers in their own locale, HR in HR_EMAIL_LOCALE
+    const usersColl = await dbc('users');
+    const plantManagers = await usersColl
+      .find({ roles: 'plant-manager' }, { projection: { email: 1, locale: 1 } })
+      .toArray();
+    const recipients = [
+      ...plantManagers
+        .filter((user) => user.email)
+        .map((user) => ({ to: user.email, locale: user.locale })),
+      ...parseEmailAddresses(process.env.HR_EMAIL).map((email) => ({
+        to: email,
+        locale: process.env.HR_EMAIL_LOCALE,
+      })),
+    ];
+
+    const attachments = [
+      { filename: fileName, content: content.toString('base64'), encoding: 'base64' },
+    ];
+
+    for (const { to, locale } of recipients) {
+      const dedupKey = buildDedupKey('overtime-monthly-report', month, to);
+      if (await wasEmailSentToday(dedupKey)) {
+        alreadySent++;
+        continue;
+      }
+
+      const { subject, html } = renderEmail(
+        'overtime-monthly-report',
+        { month, departments, totals, savedPath, smbError },
+        { locale }
+      );
+      const sendResult = await sendEmail(
+        { to, subject, html, attachments },
+        { module: 'overtime-report', template: 'overtime-monthly-report', dedupKey }
+      );
+      if (sendResult.success) {
+        emailsSent++;
+      } else {
+        console.error(`Error sending overtime report to ${to}:`, sendResult.error);
+        emailErrors++;
+      }
+    }
+
+    console.log(
+      `sendMonthlyOvertimeReport -> success at ${now.toLocaleString()} | Month: ${month}, Requests: ${
+        rows.length
+      }, Departments: ${departments.length}, Emails: ${emailsSent}, Already sent today: ${alreadySent}, Errors: ${emailErrors}, Saved: ${
+        savedPath || 'no'
+      }`
+    );
+  } catch (error) {
+    console.error('Error in sendMonthlyOvertimeReport:', error);
+    throw error; // Re-throw to allow executeWithErrorNotification to handle it
+  }
+
+  // Report was emailed, but the missing SMB copy should still be reported as a failure
+  if (smbError) {
+    const error = new Error(`Overtime report for ${month} was not saved to SMB: ${smbError}`);
+    error.context = { month };
+    throw error;
+  }
+}
+
+export { sendMonthlyOvertimeReport };
@@ -1,18 +1,45 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
+import { buildDedupKey, wasEmailSentToday } from '../lib/email-log.js';
+import { renderEmail } from '../lib/email-templates/index.js';
+import { sendEmail } from '../lib/mailer.js';
 import { dbc } from '../lib/mongo.js';
+import { extractNameFromEmail } from '../lib/name-format.js';
+import { addPlantDays, getPlantDayEnd, getPlantDayKey } from '../lib/plant-date.js';
 
 dotenv.config();
 
-// Helper function to create email content
-function createEmailContent(message, overtimeUrl) {
-  return `
-    <div>
-      <p>${message}</p>
-      <p>
-        <a href="${overtimeUrl}" style="display:inline-block;padding:10px 20px;font-size:16px;color:white;background-color:#007bff;text-decoration:none;border-radius:5px;">Przejdź do zleceń</a>
-      </p>
-    </div>`;
+// Requests pending longer than this are highlighted in the approval reminder
+const OVERTIME_PENDING_HIGHLIGHT_HOURS = parseInt(
+  process.env.OVERTIME_PENDING_HIGHLIGHT_HOURS || '48'
+);
+
+// Attendance reminders: copy the supervisor after this many reminders,
+// flag the task as attendance-overdue (and stop reminding) after the cap
+const ATTENDANCE_ESCALATE_AFTER = parseInt(process.env.OVERTIME_ATTENDANCE_ESCALATE_AFTER || '3');
+const ATTENDANCE_REMINDER_CAP = parseInt(process.env.OVERTIME_ATTENDANCE_REMINDER_CAP || '10');
+const ATTENDANCE_OVERDUE_FLAG = 'attendance-overdue';
+
+/**
+ * Template row for a pending overtime request
+ * @param {Object} request - production_overtime document
+ * @param {Date} now - Current time
+ */
+function toPendingRequestRow(request, now) {
+  const requestedAt = request.requestedAt || request.createdAt || request._id.getTimestamp();
+  const pendingHours = Math.floor(
+    (now.getTime() - new Date(requestedAt).getTime()) / (60 * 60 * 1000)
+  );
+
+  return {
+    department: request.department,
+    from: request.from,
+    to: request.to,
+    employees: request.numberOfEmployees,
+    requestedBy: request.requestedBy ? extractNameFromEmail(request.requestedBy) : null,
+    pendingHours,
+    highlighted: pendingHours >= OVERTIME_PENDING_HIGHLIGHT_HOURS,
+    url: `${process.env.APP_URL}/production-overtime/${request._id}`,
+  };
 }
 
 /**
@@ -23,6 +50,8 @@ async function sendOvertimeApprovalReminders() {
   let totalManagers = 0;
   let emailsSent = 0;
   let emailErrors = 0;
+  let alreadySent = 0;
+  let startedCount = 0;
 
   try {
     const coll = await dbc('production_overtime');
@@ -55,39 +84,50 @@ async function sendOvertimeApprovalReminders() {
 
     totalManagers = plantManagers.length;
 
+    // Requests whose start has already passed are listed in a separate warning section
+    const now = new Date();
+    const byStart = (a, b) => new Date(a.from).getTime() - new Date(b.from).getTime();
+    const requests = pendingRequests
+      .filter((request) => new Date(request.from) > now)
+      .sort(byStart)
+      .map((request) => toPendingRequestRow(request, now));
+    const startedRequests = pendingRequests
+      .filter((request) => new Date(request.from) <= now)
+      .sort(byStart)
+      .map((request) => toPendingRequestRow(request, now));
+    startedCount = startedRequests.length;
+
     // Send email to each plant manager
     for (const manager of plantManagers) {
       if (!manager.email) {
         continue;
       }
 
-      // Prepare simple email content with count and link
-      const subject =
-        'Oczekujące zlecania wykonania pracy w godzinach nadliczbowych - produkcja';
-      const message = `Masz ${pendingRequests.length} ${
-        pendingRequests.length === 1
-          ? 'oczekujące zlecenie'
-          : 'oczekujące zlecenia'
-      } wykonania pracy w godzinach nadliczbowych - produkcja.`;
-      const overtimeUrl = `${process.env.APP_URL}/production-overtime`;
-      const html = createEmailContent(message, overtimeUrl);
-
-      try {
-        // Use the API to send email
-        let apiUrlBase;
-        if (!process.env.API_URL) {
-          throw new Error('API environment variable is not defined');
-        }
-        apiUrlBase = process.env.API_URL;
-        const apiUrl = new URL(`${apiUrlBase}/mailer`);
-        apiUrl.searchParams.append('to', manager.email);
-        apiUrl.searchParams.append('subject', subject);
-        apiUrl.searchParams.append('html', html);
+      const dedupKey = buildDedupKey('overtime-pending', manager.email);
+      if (await wasEmailSentToday(dedupKey)) {
+        alreadySent++;
+        continue;
+      }
 
-        await axios.get(apiUrl.toString());
+      const { subject, html } = renderEmail(
+        'overtime-pending-approval',
+        {
+          overtimeUrl: `${process.env.APP_URL}/production-overtime`,
+          highlightAfterHours: OVERTIME_PENDING_HIGHLIGHT_HOURS,
+          requests,
+          startedRequests,
+        },
+        { locale: manager.locale }
+      );
+
+      const sendResult = await sendEmail(
+        { to: manager.email, subject, html },
+        { module: 'overtime-reminders', template: 'overtime-pending-approval', dedupKey }
+      );
+      if (sendResult.success) {
         emailsSent++;
-      } catch (error) {
-        console.error(`Error sending email:`, error);
+      } else {
+        console.error(`Error sending email:`, sendResult.error);
         emailErrors++;
       }
     }
@@ -97,26 +137,56 @@ async function sendOvertimeApprovalReminders() {
   }
 
   console.log(
-    `sendOvertimeApprovalReminders -> success at ${new Date().toLocaleString()} | Pending: ${totalRequests}, Managers: ${totalManagers}, Emails: ${emailsSent}, Errors: ${emailErrors}`
+    `sendOvertimeApprovalReminders -> success at ${new Date().toLocaleString()} | Pending: ${totalRequests}, Started: ${startedCount}, Managers: ${totalManagers}, Emails: ${emailsSent}, Already sent today: ${alreadySent}, Errors: ${emailErrors}`
   );
 }
 
+/**
+ * Recipients copied on an escalated attendance reminder - the employee's supervisor
+ * (users.supervisor, synced from the LDAP manager by syncLdapUsers) or plant managers when
+ * the supervisor is unknown
+ * @param {Collection} usersColl - Users collection
+ * @param {Object} employee - Responsible employee user document (may be missing)
+ * @returns {Promise<string[]>}
+ */
+async function getAttendanceEscalationRecipients(usersColl, employee) {
+  if (employee?.supervisor) {
+    return [employee.supervisor.toLowerCase()];
+  }
+  const plantManagers = await usersColl
+    .find({ roles: 'plant-manager' }, { projection: { email: 1 } })
+    .toArray();
+  return plantManagers.map((user) => user.email).filter(Boolean);
+}
+
+/**
+ * End of yesterday in the plant timezone (Europe/Warsaw) - tasks ending by then are completed
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+function getAttendanceCutoff(now = new Date()) {
+  return getPlantDayEnd(addPlantDays(getPlantDayKey(now), -1));
+}
+
 /**
  * Checks for approved completed tasks and sends reminders to responsible employees
  * to add attendance lists
+ * After OVERTIME_ATTENDANCE_ESCALATE_AFTER reminders the supervisor is copied, after
+ * OVERTIME_ATTENDANCE_REMINDER_CAP reminders the task is flagged as attendance-overdue
+ * and no longer reminded
  */
 async function sendCompletedTaskAttendanceReminders() {
   let totalCompletedTasks = 0;
   let emailsSent = 0;
   let emailErrors = 0;
+  let alreadySent = 0;
+  let escalated = 0;
+  let flaggedOverdue = 0;
 
   try {
     const coll = await dbc('production_overtime');
 
-    // Find approved tasks that are completed but may need attendance list updates
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(23, 59, 59, 999);
+    const yesterday = getAttendanceCutoff();
 
     const completedTasks = await coll
       .find({
@@ -124,6 +194,7 @@ async function sendCompletedTaskAttendanceReminders() {
         responsibleEmployee: { $exists: true, $ne: null, $ne: '' },
         from: { $lte: yesterday },
         to: { $lte: yesterday },
+        flags: { $ne: ATTENDANCE_OVERDUE_FLAG },
       })
       .toArray();
 
@@ -137,41 +208,94 @@ async function sendCompletedTaskAttendanceReminders() {
     totalCompletedTasks = completedTasks.length;
 
     // Group tasks by responsible employee email to avoid duplicate emails
+    // (lower case, like the emails synced to users from LDAP)
     const tasksByEmployee = new Map();
 
     for (const task of completedTasks) {
-      const employeeEmail = task.responsibleEmployee;
+      const employeeEmail = task.responsibleEmployee.toLowerCase();
       if (!tasksByEmployee.has(employeeEmail)) {
         tasksByEmployee.set(employeeEmail, []);
       }
       tasksByEmployee.get(employeeEmail).push(task);
     }
 
+    // Responsible employees are stored by email (locale, supervisor)
+    const usersColl = await dbc('users');
+    const employees = await usersColl
+      .find(
+        { email: { $in: [...tasksByEmployee.keys()] } },
+        { projection: { email: 1, locale: 1, supervisor: 1 } }
+      )
+      .toArray();
+    const employeeByEmail = new Map(employees.map((user) => [user.email.toLowerCase(), user]));
+
     // Send reminder to each responsible employee
     for (const [employeeEmail, tasks] of tasksByEmployee) {
-      try {
-        const subject =
-          'Zlecenia wykonania pracy w godzinach nadliczbowych - produkcja - oczekuje na dodanie listy obecności';
-        const taskCount = tasks.length;
-        const message = `${
-          taskCount === 1
-            ? 'Zlecenie wykonania pracy w godzinach nadliczbowych - produkcja oczekuje'
-            : `${taskCount} zleceń wykonania pracy w godzinach nadliczbowych - produkcja oczekuje`
-        } na dodanie listy obecności.`;
-        const overtimeUrl = `${process.env.APP_URL}/production-overtime`;
-        const html = createEmailContent(message, overtimeUrl);
-
-        // Send email using existing API
-        const apiUrl = new URL(`${process.env.API_URL}/mailer`);
-        apiUrl.searchParams.append('to', employeeEmail);
-        apiUrl.searchParams.append('subject', subject);
-        apiUrl.searchParams.append('html', html);
-
-        await axios.get(apiUrl.toString());
-        emailsSent++;
-      } catch (error) {
-        console.error(`Error sending completed task reminder email:`, error);
+      const dedupKey = buildDedupKey('overtime-attendance', employeeEmail);
+      if (await wasEmailSentToday(dedupKey)) {
+        alreadySent++;
+        continue;
+      }
+
+      const employee = employeeByEmail.get(employeeEmail);
+      const previousReminders = Math.max(
+        ...tasks.map((task) => task.attendanceReminderCount || 0)
+      );
+      const isEscalated = previousReminders >= ATTENDANCE_ESCALATE_AFTER;
+      const copyTo = isEscalated
+        ? (await getAttendanceEscalationRecipients(usersColl, employee)).filter(
+            (email) => email !== employeeEmail
+          )
+        : [];
+
+      const { subject, html } = renderEmail(
+        'overtime-attendance-reminder',
+        {
+          count: tasks.length,
+          overtimeUrl: `${process.env.APP_URL}/production-overtime`,
+          previousReminders,
+          escalated: copyTo.length > 0,
+        },
+        { locale: employee?.locale }
+      );
+
+      const sendResult = await sendEmail(
+        { to: [employeeEmail, ...copyTo], subject, html },
+        { module: 'overtime-reminders', template: 'overtime-attendance-reminder', dedupKey }
+      );
+      if (!sendResult.success) {
+        console.error(
+          `Error sending completed task reminder email:`,
+          sendResult.error
+        );
         emailErrors++;
+        continue;
+      }
+
+      emailsSent++;
+      if (copyTo.length > 0) escalated++;
+
+      // Store reminder count and history on each task, flag tasks reaching the cap
+      const sentAt = new Date();
+      for (const task of tasks) {
+        const reminderCount = (task.attendanceReminderCount || 0) + 1;
+        const update = {
+          $set: { attendanceReminderCount: reminderCount, attendanceReminderLastSentAt: sentAt },
+          $push: {
+            attendanceReminders: { sentAt, to: employeeEmail, cc: copyTo },
+          },
+        };
+        if (reminderCount >= ATTENDANCE_REMINDER_CAP) {
+          update.$addToSet = { flags: ATTENDANCE_OVERDUE_FLAG };
+          update.$set.attendanceOverdueAt = sentAt;
+          flaggedOverdue++;
+        }
+
+        try {
+          await coll.updateOne({ _id: task._id }, update);
+        } catch (e) {
+          console.error(`Error updating attendance reminders for task ${task._id}:`, e);
+        }
       }
     }
   } catch (error) {
@@ -180,11 +304,12 @@ async function sendCompletedTaskAttendanceReminders() {
   }
 
   console.log(
-    `sendCompletedTaskAttendanceReminders -> success at ${new Date().toLocaleString()} | Completed tasks: ${totalCompletedTasks}, Emails: ${emailsSent}, Errors: ${emailErrors}`
+    `sendCompletedTaskAttendanceReminders -> success at ${new Date().toLocaleString()} | Completed tasks: ${totalCompletedTasks}, Emails: ${emailsSent}, Escalated: ${escalated}, Flagged overdue: ${flaggedOverdue}, Already sent today: ${alreadySent}, Errors: ${emailErrors}`
   );
 }
 
 export {
+  getAttendanceCutoff,
   sendCompletedTaskAttendanceReminders,
   sendOvertimeApprovalReminders,
   sendOvertimeApprovalReminders as sendPendingOvertimeRequestsApprovalNotifications,
@@ -2,6 +2,23 @@ import { dbc } from '../lib/mongo.js';
 const LdapClientModule = await import('ldapjs-client');
 const LdapClient = LdapClientModule.default || LdapClientModule;
 
+/**
+ * Normalize a distinguished name for comparison (case and spaces around separators)
+ * @param {string} dn - Distinguished name
+ * @returns {string}
+ */
+function normalizeDn(dn) {
+  return String(dn).replace(/\s*([,=])\s*/g, '$1').trim().toLowerCase();
+}
+
+/**
+ * First value of an LDAP attribute (attributes with several values come as arrays)
+ * @param {string|string[]} value - Attribute value
+ */
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
 export async function syncLdapUsers() {
   const ldapClient = new LdapClient({
     url: process.env.LDAP,
@@ -27,7 +44,7 @@ export async function syncLdapUsers() {
     const options = {
       filter: '(&(mail=*)(c=PL))',
       scope: 'sub',
-      attributes: ['mail', 'dn', 'cn'],
+      attributes: ['mail', 'dn', 'cn', 'manager'],
     };
 
     const searchResults = await ldapClient.search(
@@ -37,12 +54,21 @@ export async function syncLdapUsers() {
 
     processedUsers = searchResults.length;
 
+    // Supervisor email from the manager DN - managers outside the search have no supervisor email
+    const emailByDn = new Map(
+      searchResults
+        .filter((ldapUser) => ldapUser.dn && ldapUser.mail)
+        .map((ldapUser) => [normalizeDn(ldapUser.dn), firstValue(ldapUser.mail).toLowerCase()])
+    );
+
     // Process search results
     for (const ldapUser of searchResults) {
       if (ldapUser.mail) {
         const email = Array.isArray(ldapUser.mail)
           ? ldapUser.mail[0].toLowerCase()
           : ldapUser.mail.toLowerCase();
+        const manager = firstValue(ldapUser.manager);
+        const supervisor = (manager && emailByDn.get(normalizeDn(manager))) || null;
 
         // Add to active emails set
         activeEmails.add(email);
@@ -55,13 +81,14 @@ export async function syncLdapUsers() {
             roles: ['user'],
             lastSyncedAt: new Date(),
             displayName: ldapUser.cn || email,
+            supervisor,
           });
           addedUsers++;
         } else {
-          // Update last synced timestamp
+          // Update last synced timestamp and supervisor (manager changes in LDAP)
           await usersCollection.updateOne(
             { email },
-            { $set: { lastSyncedAt: new Date() } }
+            { $set: { lastSyncedAt: new Date(), supervisor } }
           );
         }
       }
@@ -4,6 +4,23 @@ import { dbc } from '../lib/mongo.js';
 
 dotenv.config();
 
+/**
+ * R2platnik SQL Server connection config (shared with the health check)
+ */
+export function getR2platnikSqlConfig() {
+  return {
+    user: process.env.R2PLATNIK_SQL_USER,
+    password: process.env.R2PLATNIK_SQL_PASSWORD,
+    server: process.env.R2PLATNIK_SQL_SERVER,
+    database: process.env.R2PLATNIK_SQL_DATABASE,
+    options: {
+      encrypt: true,
+      trustServerCertificate: true,
+      instanceName: process.env.R2PLATNIK_SQL_INSTANCE,
+    },
+  };
+}
+
 async function syncR2platnikEmployees() {
   // Initialize counters
   let processedEmployees = 0;
@@ -16,17 +33,7 @@ async function syncR2platnikEmployees() {
     );
   }
 
-  const sqlConfig = {
-    user: process.env.R2PLATNIK_SQL_USER,
-    password: process.env.R2PLATNIK_SQL_PASSWORD,
-    server: process.env.R2PLATNIK_SQL_SERVER,
-    database: process.env.R2PLATNIK_SQL_DATABASE,
-    options: {
-      encrypt: true,
-      trustServerCertificate: true,
-      instanceName: process.env.R2PLATNIK_SQL_INSTANCE,
-    },
-  };
+  const sqlConfig = getR2platnikSqlConfig();
 
   try {
     const employeesCollection = await dbc('employees');
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+// The absences module creates the Mongo client on import (it connects only when used)
+process.env.MONGO_URI ||= 'mongodb://127.0.0.1:27017/test';
+const { indexAbsences, resolveDeputy } = await import('../lib/absences.js');
+
+describe('absences', () => {
+  it('ignores absences without a string deputy', () => {
+    const absences = indexAbsences([
+      { userEmail: 'a.nowak@bruss-group.com', deputyEmail: null },
+      { userEmail: 'b.kowalski@bruss-group.com', deputyEmail: '  ' },
+      { userEmail: 'c.wisniewski@bruss-group.com', deputyEmail: 42 },
+      { userEmail: 'd.lewandowski@bruss-group.com' },
+    ]);
+
+    assert.equal(absences.size, 0);
+    assert.equal(resolveDeputy('a.nowak@bruss-group.com', absences), null);
+  });
+
+  it('keeps the most recently started absence with a deputy', () => {
+    const absences = indexAbsences([
+      { userEmail: 'A.Nowak@bruss-group.com', deputyEmail: null },
+      { userEmail: 'A.Nowak@bruss-group.com', deputyEmail: 'J.Zielinski@bruss-group.com' },
+      { userEmail: 'a.nowak@bruss-group.com', deputyEmail: 'k.wojcik@bruss-group.com' },
+    ]);
+
+    assert.equal(resolveDeputy('a.nowak@bruss-group.com', absences), 'j.zielinski@bruss-group.com');
+  });
+
+  it('follows the deputy chain and stops on loops', () => {
+    const absences = indexAbsences([
+      { userEmail: 'a@bruss-group.com', deputyEmail: 'b@bruss-group.com' },
+      { userEmail: 'b@bruss-group.com', deputyEmail: 'c@bruss-group.com' },
+      { userEmail: 'x@bruss-group.com', deputyEmail: 'y@bruss-group.com' },
+      { userEmail: 'y@bruss-group.com', deputyEmail: 'x@bruss-group.com' },
+    ]);
+
+    assert.equal(resolveDeputy('a@bruss-group.com', absences), 'c@bruss-group.com');
+    assert.equal(resolveDeputy('x@bruss-group.com', absences), null);
+    assert.equal(resolveDeputy('c@bruss-group.com', absences), null);
+  });
+});
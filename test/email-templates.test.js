@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SUPPORTED_LOCALES, TEMPLATES, renderEmail } from '../lib/email-templates/index.js';
+
+// Markup, quotes, ampersand and a header injection attempt in every string field
+const PAYLOAD = `<script>alert("x")</script><b onclick='y'>Tom & Jerry</b>\r\nBcc: attacker@example.com`;
+
+/**
+ * Replace every string in template data with the payload, keeping structure, numbers and dates
+ * @param {*} value - Sample data
+ */
+function withPayload(value) {
+  if (typeof value === 'string') {
+    return PAYLOAD;
+  }
+  if (Array.isArray(value)) {
+    return value.map(withPayload);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, withPayload(item)]));
+  }
+  return value;
+}
+
+describe('email templates', () => {
+  for (const [name, template] of Object.entries(TEMPLATES)) {
+    for (const locale of SUPPORTED_LOCALES) {
+      it(`${name} (${locale}) escapes data`, () => {
+        const { subject, html } = renderEmail(name, withPayload(template.sample), { locale });
+
+        assert.ok(!/<script/i.test(html), 'raw <script> in HTML');
+        assert.ok(!html.includes('<b onclick'), 'raw markup in HTML');
+        assert.ok(!html.includes('alert("x")'), 'raw double quote in HTML');
+        assert.ok(!html.includes("'y'"), 'raw single quote in HTML');
+        assert.ok(!html.includes('Tom & Jerry'), 'raw ampersand in HTML');
+        assert.ok(!/[\r\n]/.test(subject), 'line break in subject');
+      });
+    }
+  }
+});
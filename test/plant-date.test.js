@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import {
+  addPlantDays,
+  getPlantDayEnd,
+  getPlantDayKey,
+  getPlantDaysBetween,
+  getPlantDayStart,
+} from '../lib/plant-date.js';
+
+// Job modules create the Mongo client on import (it connects only when used)
+process.env.MONGO_URI ||= 'mongodb://127.0.0.1:27017/test';
+process.env.HR_TRAINING_WARNING_DAYS = '3';
+const { getAttendanceCutoff } = await import('../production-overtime/send-reminders.js');
+const { getDeadlineLimits, getDeadlineStatus, parseTrainingEvaluationDate } = await import(
+  '../hr-training/evaluation-notifications.js'
+);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Server timezones other than the plant one with their January getTimezoneOffset() -
+// results must not depend on them
+const SERVER_TIMEZONES = { UTC: 0, 'America/New_York': 300, 'Asia/Tokyo': -540 };
+
+/**
+ * Excel serial number of a calendar day
+ * @param {string} dayKey - Day (YYYY-MM-DD)
+ */
+function toExcelSerial(dayKey) {
+  return (Date.parse(`${dayKey}T00:00:00Z`) - Date.UTC(1899, 11, 30)) / (24 * HOUR_MS);
+}
+
+for (const [timezone, januaryOffset] of Object.entries(SERVER_TIMEZONES)) {
+  describe(`plant days with server timezone ${timezone}`, () => {
+    const originalTimezone = process.env.TZ;
+
+    before(() => {
+      process.env.TZ = timezone;
+      assert.equal(new Date(2026, 0, 1).getTimezoneOffset(), januaryOffset, 'TZ not applied');
+    });
+
+    after(() => {
+      if (originalTimezone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = originalTimezone;
+      }
+    });
+
+    describe('2026-03-29 (clocks go forward, 23-hour day)', () => {
+      it('starts at local midnight CET and ends before midnight CEST', () => {
+        assert.equal(getPlantDayStart('2026-03-29').toISOString(), '2026-03-28T23:00:00.000Z');
+        assert.equal(getPlantDayEnd('2026-03-29').toISOString(), '2026-03-29T21:59:59.999Z');
+        assert.equal(
+          getPlantDayEnd('2026-03-29').getTime() + 1 - getPlantDayStart('2026-03-29').getTime(),
+          23 * HOUR_MS
+        );
+      });
+
+      it('maps moments to plant days around both midnights', () => {
+        assert.equal(getPlantDayKey(new Date('2026-03-28T22:59:59Z')), '2026-03-28');
+        assert.equal(getPlantDayKey(new Date('2026-03-28T23:00:00Z')), '2026-03-29');
+        assert.equal(getPlantDayKey(new Date('2026-03-29T01:30:00Z')), '2026-03-29');
+        assert.equal(getPlantDayKey(new Date('2026-03-29T21:59:59Z')), '2026-03-29');
+        assert.equal(getPlantDayKey(new Date('2026-03-29T22:00:00Z')), '2026-03-30');
+      });
+
+      it('accepts a moment within the day', () => {
+        const moment = new Date('2026-03-29T12:00:00Z');
+        assert.equal(getPlantDayStart(moment).toISOString(), '2026-03-28T23:00:00.000Z');
+        assert.equal(getPlantDayEnd(moment).toISOString(), '2026-03-29T21:59:59.999Z');
+      });
+
+      it('counts calendar days across the change', () => {
+        assert.equal(addPlantDays('2026-03-28', 1), '2026-03-29');
+        assert.equal(addPlantDays('2026-03-30', -2), '2026-03-28');
+        assert.equal(getPlantDaysBetween('2026-03-28', '2026-03-30'), 2);
+      });
+    });
+
+    describe('2026-10-25 (clocks go back, 25-hour day)', () => {
+      it('starts at local midnight CEST and ends before midnight CET', () => {
+        assert.equal(getPlantDayStart('2026-10-25').toISOString(), '2026-10-24T22:00:00.000Z');
+        assert.equal(getPlantDayEnd('2026-10-25').toISOString(), '2026-10-25T22:59:59.999Z');
+        assert.equal(
+          getPlantDayEnd('2026-10-25').getTime() + 1 - getPlantDayStart('2026-10-25').getTime(),
+          25 * HOUR_MS
+        );
+      });
+
+      it('maps both passes of the repeated hour to the same day', () => {
+        assert.equal(getPlantDayKey(new Date('2026-10-24T21:59:59Z')), '2026-10-24');
+        assert.equal(getPlantDayKey(new Date('2026-10-24T22:00:00Z')), '2026-10-25');
+        assert.equal(getPlantDayKey(new Date('2026-10-25T00:30:00Z')), '2026-10-25'); // 02:30 CEST
+        assert.equal(getPlantDayKey(new Date('2026-10-25T01:30:00Z')), '2026-10-25'); // 02:30 CET
+        assert.equal(getPlantDayKey(new Date('2026-10-25T22:59:59Z')), '2026-10-25');
+        assert.equal(getPlantDayKey(new Date('2026-10-25T23:00:00Z')), '2026-10-26');
+      });
+
+      it('accepts a moment within the day', () => {
+        const moment = new Date('2026-10-25T01:30:00Z');
+        assert.equal(getPlantDayStart(moment).toISOString(), '2026-10-24T22:00:00.000Z');
+        assert.equal(getPlantDayEnd(moment).toISOString(), '2026-10-25T22:59:59.999Z');
+      });
+
+      it('counts calendar days across the change', () => {
+        assert.equal(addPlantDays('2026-10-24', 1), '2026-10-25');
+        assert.equal(addPlantDays('2026-10-26', -2), '2026-10-24');
+        assert.equal(getPlantDaysBetween('2026-10-24', '2026-10-26'), 2);
+      });
+    });
+
+    describe('overtime attendance cutoff (end of yesterday)', () => {
+      it('ends the 23-hour day at local midnight', () => {
+        const cutoff = getAttendanceCutoff(new Date('2026-03-30T05:00:00Z'));
+        assert.equal(cutoff.toISOString(), '2026-03-29T21:59:59.999Z');
+      });
+
+      it('ends the 25-hour day at local midnight', () => {
+        const cutoff = getAttendanceCutoff(new Date('2026-10-26T05:00:00Z'));
+        assert.equal(cutoff.toISOString(), '2026-10-25T22:59:59.999Z');
+        // A task ending 23:30 local on the 25-hour day is completed, 00:30 the next day is not
+        assert.ok(new Date('2026-10-25T22:30:00Z') <= cutoff);
+        assert.ok(new Date('2026-10-25T23:30:00Z') > cutoff);
+      });
+
+      it('uses the plant day shortly after local midnight', () => {
+        // 01:30 local on 2026-03-29 is still 2026-03-28 in UTC and earlier timezones
+        const cutoff = getAttendanceCutoff(new Date('2026-03-29T00:30:00Z'));
+        assert.equal(cutoff.toISOString(), '2026-03-28T22:59:59.999Z');
+      });
+    });
+
+    describe('HR training evaluation deadlines', () => {
+      it('parses Excel serial and ISO deadlines as plant days', () => {
+        assert.equal(
+          parseTrainingEvaluationDate(toExcelSerial('2026-03-29')).toISOString(),
+          '2026-03-28T23:00:00.000Z'
+        );
+        assert.equal(
+          parseTrainingEvaluationDate('2026-10-25').toISOString(),
+          '2026-10-24T22:00:00.000Z'
+        );
+      });
+
+      it('is overdue from the first hour of the deadline day', () => {
+        const deadline = parseTrainingEvaluationDate(toExcelSerial('2026-03-29'));
+        // 00:30 CET on the deadline day
+        const limits = getDeadlineLimits(new Date('2026-03-28T23:30:00Z'));
+        assert.equal(limits.todayKey, '2026-03-29');
+        assert.equal(getDeadlineStatus(deadline, limits), 'overdue');
+        // 23:30 CET the day before
+        assert.equal(
+          getDeadlineStatus(deadline, getDeadlineLimits(new Date('2026-03-28T22:30:00Z'))),
+          'warning'
+        );
+      });
+
+      it('warns within the warning period across the 25-hour day', () => {
+        const deadline = parseTrainingEvaluationDate('2026-10-27');
+        // 23:30 CET on 2026-10-25 is 2 days before the deadline, 23:30 CEST on 2026-10-23 is 4
+        assert.equal(
+          getDeadlineStatus(deadline, getDeadlineLimits(new Date('2026-10-25T22:30:00Z'))),
+          'warning'
+        );
+        assert.equal(
+          getDeadlineStatus(deadline, getDeadlineLimits(new Date('2026-10-23T21:30:00Z'))),
+          null
+        );
+        // 00:30 CEST on 2026-10-24 starts the 3-day warning period
+        assert.equal(
+          getDeadlineStatus(deadline, getDeadlineLimits(new Date('2026-10-23T22:30:00Z'))),
+          'warning'
+        );
+      });
+    });
+  });
+}